@@ -5,97 +5,386 @@ import { Command } from "commander";
 import { promises as fs } from "fs";
 import path from "path";
 import readline from "readline";
+import { fileURLToPath } from "url";
 
 // Local imports
 import Einsatz from "../lib/Einsatz.js";
-import { actionLogger } from "../lib/utils/logger.js";
+import {
+  actionLogger,
+  setQuiet,
+  setOutputFormat,
+  isJsonOutput,
+  summaryLogger,
+} from "../lib/utils/logger.js";
+import { loadDeployConfig } from "../lib/utils/loadConfig.js";
+import {
+  validateDeployConfig,
+  assertValidDeployConfig,
+  formatProblem,
+} from "../lib/utils/validateConfig.js";
+import { handleError } from "../lib/utils/handleError.js";
+import { readProjectNodeVersion } from "../lib/utils/nodeManager.js";
 
-// Helper function to create a new deployer instance
-const createDeployer = async () => {
-  const deployConfigPath = path.resolve(process.cwd(), "config", "deploy.js");
+// Release ids are timestamps in the format YYYYMMDDHHMMSS
+const RELEASE_ID_PATTERN = /^\d{14}$/;
 
-  let deployConfig;
-  try {
-    // Dynamically import the deployConfig
-    deployConfig = (await import(`file://${deployConfigPath}`)).default;
-  } catch (error) {
-    actionLogger.error(
-      `Error loading deploy configuration from ${deployConfigPath}:`,
-      error.message
-    );
-    process.exit(1); // Exit if config can't be loaded
+// Event types written to revisions.log
+const HISTORY_TYPES = [
+  "deploy",
+  "deploy_failed",
+  "rollback",
+  "switch",
+  "cleanup",
+];
+
+// Helper function to create a new deployer instance for a stage
+const createDeployer = async (stage, options = {}) => {
+  // Load the base config merged with the stage config, errors end the command
+  const deployConfig = await loadDeployConfig(stage);
+
+  if (deployConfig.stage) {
+    actionLogger.info(`Stage: ${deployConfig.stage}`);
+  }
+
+  // Report all configuration errors before anything connects
+  assertValidDeployConfig(deployConfig).forEach((warning) =>
+    actionLogger.warning(formatProblem(warning))
+  );
+  const sshOptions = deployConfig.sshOptions || {};
+  const agent =
+    deployConfig.agent || sshOptions.agent || process.env.SSH_AUTH_SOCK;
+
+  // Without nodeVersion the project pins the version in .nvmrc or package.json engines
+  let nodeVersion = deployConfig.nodeVersion;
+  if (!nodeVersion) {
+    const projectNodeVersion = readProjectNodeVersion();
+    if (projectNodeVersion) {
+      nodeVersion = projectNodeVersion.version;
+      actionLogger.info(
+        `Node version ${nodeVersion} from ${projectNodeVersion.source}`
+      );
+    }
   }
 
-  return new Einsatz({
+  // Servers inherit port and user from the top level config
+  const servers = deployConfig.servers || [
+    { host: deployConfig.server, primary: true },
+  ];
+
+  const einsatz = new Einsatz({
     application: deployConfig.application,
+    stage: deployConfig.stage,
     deployVia: deployConfig.deployVia,
-    connectionConfig: {
-      host: deployConfig.server,
-      port: deployConfig.port,
-      username: deployConfig.user,
-      agent: deployConfig.agent || process.env.SSH_AUTH_SOCK,
-      agentForward: deployConfig.agentForward || true,
-    },
+    servers: servers.map((server) => ({
+      connectionConfig: {
+        host: server.host,
+        port: server.port || deployConfig.port,
+        username: server.user || deployConfig.user || sshOptions.user,
+        agent,
+        // The agent is only forwarded if one is running
+        agentForward:
+          deployConfig.agentForward ??
+          sshOptions.agentForward ??
+          Boolean(agent),
+        keys: sshOptions.keys,
+        passphrase: sshOptions.passphrase,
+        password: sshOptions.password,
+        tryKeyboard: sshOptions.tryKeyboard,
+        timeout: sshOptions.timeout,
+        keepaliveInterval: sshOptions.keepaliveInterval,
+        keepaliveCountMax: sshOptions.keepaliveCountMax,
+        jumpHost: server.jumpHost ?? deployConfig.jumpHost,
+      },
+      roles: server.roles,
+      primary: server.primary,
+    })),
     repoDetails: {
       repoUrl: deployConfig.repoUrl,
       branch: deployConfig.branch,
     },
-    nodeVersion: deployConfig.nodeVersion,
+    nodeVersion,
+    nodeManager: deployConfig.nodeManager,
+    packageManager: deployConfig.packageManager,
+    installOptions: deployConfig.install,
+    linkedFiles: deployConfig.linkedFiles,
+    linkedDirs: deployConfig.linkedDirs,
+    copyOptions: deployConfig.copy,
+    remoteSyncOptions: deployConfig.remoteSync,
+    healthCheck: deployConfig.healthCheck,
+    hooks: {
+      before: deployConfig.before,
+      after: deployConfig.after,
+    },
+    commandTimeout: deployConfig.commandTimeout,
+    taskTimeouts: deployConfig.taskTimeouts,
+    reconnectAttempts: sshOptions.reconnectAttempts,
+    dryRun: options.dryRun,
     projectFolder: deployConfig.deployTo,
   });
+
+  return einsatz;
 };
 
+// Wraps a command action, errors are printed and set the exit code to let CI notice them.
+// The JSON output is closed with a summary of the command.
+const withErrorHandling =
+  (action) =>
+  async (...args) => {
+    const command = args[args.length - 1].name();
+    try {
+      const result = await action(...args);
+      summaryLogger({
+        command,
+        status: process.exitCode ? "failure" : "success",
+        result: result ?? null,
+      });
+    } catch (error) {
+      handleError(error);
+      process.exitCode = 1;
+      summaryLogger({
+        command,
+        status: "failure",
+        error: { name: error.name, message: error.message, task: error.task },
+      });
+    }
+  };
+
 // Actions
-const deploy = async () => {
-  const deployer = await createDeployer();
-  await deployer.deploy();
+const deploy = async (stage, options) => {
+  const deployer = await createDeployer(stage, options);
+  return deployer.deploy();
 };
 
-const releases = async () => {
-  const deployer = await createDeployer();
-  await deployer.getReleaseIds();
+const releases = async (stage, options) => {
+  // Keep stdout free for the JSON output
+  setQuiet(options.json);
+
+  const deployer = await createDeployer(stage);
+  const releaseDetails = await deployer.getReleases();
+
+  // The JSON output contains the release details in its summary
+  if (options.json && !isJsonOutput()) {
+    console.log(JSON.stringify(releaseDetails, null, 2));
+  } else if (releaseDetails.length === 0) {
+    actionLogger.info("No releases found.");
+  } else {
+    releaseTable(releaseDetails).forEach((line) => actionLogger.info(line));
+  }
+  return releaseDetails;
 };
 
-const rollback = async () => {
-  const deployer = await createDeployer();
-  await deployer.rollback();
+const history = async (stage, options) => {
+  // Keep stdout free for the JSON output
+  setQuiet(options.json);
+
+  if (options.type && !HISTORY_TYPES.includes(options.type)) {
+    actionLogger.error(
+      `Unknown type '${options.type}', expected one of ${HISTORY_TYPES.join(
+        ", "
+      )}`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const deployer = await createDeployer(stage);
+  const entries = await deployer.getHistory({
+    since: options.since,
+    user: options.user,
+    type: options.type,
+    limit: options.limit,
+  });
+
+  // The JSON output contains the entries in its summary
+  if (options.json && !isJsonOutput()) {
+    console.log(JSON.stringify(entries, null, 2));
+  } else if (entries.length === 0) {
+    actionLogger.info("No history entries found.");
+  } else {
+    historyTable(entries).forEach((line) => actionLogger.info(line));
+  }
+  return entries;
+};
+
+const rollback = async (stage, options) => {
+  const deployer = await createDeployer(stage, options);
+  return deployer.rollback();
 };
 
-const switchVersion = async (releaseId) => {
-  const deployer = await createDeployer();
+const switchVersion = async (stage, releaseId, options) => {
+  // Allow `einsatz switch <releaseId>` without a stage
+  if (!releaseId && RELEASE_ID_PATTERN.test(stage || "")) {
+    releaseId = stage;
+    stage = undefined;
+  }
+
+  const deployer = await createDeployer(stage, options);
 
   if (!releaseId) {
     actionLogger.info("No release ID provided, fetching releases...");
-    try {
-      const releaseIds = await deployer.getReleaseIds();
-      if (!releaseIds || releaseIds.length === 0) {
-        actionLogger.info("No releases found. Exiting...");
-        return;
-      }
-      actionLogger.info("Available releases:");
-      releaseIds.forEach((id, index) =>
-        actionLogger.info(`${index + 1}. Release ID: ${id}`)
-      );
+    const releaseDetails = await deployer.getReleases();
+    if (releaseDetails.length === 0) {
+      actionLogger.info("No releases found. Exiting...");
+      return;
+    }
+    actionLogger.info("Available releases:");
+    releaseTable(releaseDetails, { numbered: true }).forEach((line) =>
+      actionLogger.info(line)
+    );
 
-      releaseId = await promptUserSelection(releaseIds);
-      if (!releaseId) {
-        actionLogger.error("No valid release selected. Exiting...");
-        return;
-      }
-    } catch (error) {
-      actionLogger.error("Error fetching release IDs:", error);
+    releaseId = await promptUserSelection(
+      releaseDetails.map((release) => release.releaseId)
+    );
+    if (!releaseId) {
+      actionLogger.error("No valid release selected. Exiting...");
       return;
     }
   }
 
   actionLogger.info(`Switching to release ID: ${releaseId}`);
-  try {
-    await deployer.switchRelease(releaseId);
-  } catch (error) {
+  return deployer.switchRelease(releaseId);
+};
+
+const lockStatus = async (stage) => {
+  const deployer = await createDeployer(stage);
+  return deployer.lockStatus();
+};
+
+const unlock = async (stage, options) => {
+  if (!options.force) {
+    actionLogger.error(
+      "Removing the deploy lock can break a running deployment. Check 'einsatz lock:status' and rerun with --force."
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const deployer = await createDeployer(stage);
+  return deployer.forceUnlock();
+};
+
+const check = async (stage) => {
+  const deployer = await createDeployer(stage);
+  const report = await deployer.check();
+
+  checkTable(report.checks).forEach((line) => actionLogger.info(line));
+  const failed = report.checks.filter((result) => !result.ok).length;
+  if (failed) {
+    actionLogger.error(`${failed} of ${report.checks.length} checks failed`);
+    process.exitCode = 1;
+  } else {
+    actionLogger.success(`All ${report.checks.length} checks passed`);
+  }
+  return report;
+};
+
+const validateConfig = async (stage) => {
+  const deployConfig = await loadDeployConfig(stage);
+  const { errors, warnings } = validateDeployConfig(deployConfig);
+  const configName = deployConfig.stage
+    ? `config/deploy.js with stage '${deployConfig.stage}'`
+    : "config/deploy.js";
+
+  warnings.forEach((warning) => actionLogger.warning(formatProblem(warning)));
+  errors.forEach((error) => actionLogger.error(formatProblem(error)));
+
+  if (errors.length) {
     actionLogger.error(
-      `Error switching to release ${releaseId}: ${error.message}`
+      `${configName} has ${errors.length} problem${
+        errors.length === 1 ? "" : "s"
+      }`
     );
+    process.exitCode = 1;
+  } else {
+    actionLogger.success(`${configName} is valid`);
   }
+  return { stage: deployConfig.stage || null, errors, warnings };
+};
+
+// Helper function to format release details as table, the live release is marked with *
+const releaseTable = (releaseDetails, { numbered = false } = {}) => {
+  const header = [
+    ...(numbered ? ["#"] : []),
+    "",
+    "Release",
+    "Branch",
+    "Commit",
+    "Subject",
+    "Deployed by",
+    "Node",
+    "Via",
+    "Duration",
+    "Outcome",
+  ];
+  const rows = releaseDetails.map((release, index) => [
+    ...(numbered ? [`${index + 1}.`] : []),
+    release.live ? "*" : "",
+    release.releaseId,
+    release.branch || "-",
+    release.commit ? release.commit.slice(0, 7) : "-",
+    release.subject && release.subject.length > 40
+      ? `${release.subject.slice(0, 39)}…`
+      : release.subject || "-",
+    release.user ? `${release.user}@${release.hostname}` : "-",
+    release.nodeVersion || "-",
+    release.strategy || "-",
+    release.duration != null ? `${release.duration}s` : "-",
+    release.outcome || "-",
+  ]);
+
+  return formatTable(header, rows);
+};
+
+// Helper function to format revisions.log entries as table
+const historyTable = (entries) => {
+  const header = ["Time", "Type", "Actor", "From", "To", "Commit", "Details"];
+  const rows = entries.map((entry) => [
+    entry.timestamp
+      ? entry.timestamp.replace("T", " ").replace(/\.\d+Z$/, "")
+      : "-",
+    entry.type,
+    entry.actor
+      ? `${entry.actor}${entry.hostname ? `@${entry.hostname}` : ""}`
+      : "-",
+    entry.from || "-",
+    entry.to || "-",
+    entry.sha ? entry.sha.slice(0, 7) : "-",
+    entry.type === "cleanup"
+      ? `removed ${(entry.releases || []).join(", ")}`
+      : entry.type === "unknown"
+      ? entry.message
+      : entry.task
+      ? `at ${entry.task}${entry.error ? `: ${entry.error}` : ""}`
+      : "",
+  ]);
+
+  return formatTable(header, rows);
+};
+
+// Helper function to format the preflight checks as table
+const checkTable = (checks) => {
+  const header = ["Host", "Check", "Status", "Details"];
+  const rows = checks.map((result) => [
+    result.host,
+    result.item,
+    result.ok ? "pass" : "FAIL",
+    result.detail,
+  ]);
+
+  return formatTable(header, rows);
+};
+
+// Helper function to align table columns
+const formatTable = (header, rows) => {
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => row[column].length))
+  );
+  return [header, ...rows].map((row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join("  ")
+      .trimEnd()
+  );
 };
 
 // Helper function to prompt user selection and wait for input
@@ -135,55 +424,122 @@ const promptUserSelection = (releaseIds) => {
   });
 };
 
-// Setup command to copy the configuration file to the application config directory for deployment
+// Setup command to copy the configuration files to the application config directory for deployment
 const setup = async () => {
-  const deployConfigPath = path.resolve("templates/config", "deploy.js");
-  const templatePath = path.resolve(
-    "node_modules",
-    "einsatz",
-    "config",
-    "deploy.js"
+  const templateDir = path.resolve(
+    path.dirname(fileURLToPath(import.meta.url)),
+    "..",
+    "templates",
+    "config"
   );
+  const configFiles = [
+    "deploy.js",
+    path.join("deploy", "staging.js"),
+    path.join("deploy", "production.js"),
+  ];
 
   try {
-    // Ensure the config directory exists
-    await fs.mkdir(path.resolve("config"), { recursive: true });
+    // Ensure the config directories exist
+    await fs.mkdir(path.resolve("config", "deploy"), { recursive: true });
 
-    // Check if the deploy.js file already exists
-    try {
-      await fs.access(deployConfigPath);
-      actionLogger.log(
-        "deploy.js already exists in config directory. Skipping setup."
-      );
-      return;
-    } catch (error) {
-      // File does not exist, proceed with copy
-      actionLogger.log("Setting up deployment configuration...");
-      await fs.copyFile(templatePath, deployConfigPath);
-      actionLogger.log("deploy.js template copied to config directory.");
+    actionLogger.info("Setting up deployment configuration...");
+    for (const configFile of configFiles) {
+      const deployConfigPath = path.resolve("config", configFile);
+
+      // Check if the config file already exists
+      try {
+        await fs.access(deployConfigPath);
+        actionLogger.info(
+          `config/${configFile} already exists in config directory. Skipping.`
+        );
+      } catch (error) {
+        // File does not exist, proceed with copy
+        await fs.copyFile(path.join(templateDir, configFile), deployConfigPath);
+        actionLogger.success(
+          `config/${configFile} template copied to config directory.`
+        );
+      }
     }
   } catch (error) {
-    actionLogger.error("Error during setup:", error.message);
+    actionLogger.error(`Error during setup: ${error.message}`);
   }
 };
 
 // Command-line program setup
 const program = new Command();
-program.name("einsatz").version("0.1.0").description("Einsatz Deployment CLI");
+program
+  .name("einsatz")
+  .version("0.1.0")
+  .description("Einsatz Deployment CLI")
+  .option(
+    "--output <format>",
+    "Output format: text or json (one JSON object per line), defaults to EINSATZ_OUTPUT or text"
+  )
+  .hook("preAction", () => {
+    try {
+      setOutputFormat(
+        program.opts().output || process.env.EINSATZ_OUTPUT || "text"
+      );
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  });
 
-program.command("deploy").description("Deploy the application").action(deploy);
-program.command("releases").description("List all releases").action(releases);
 program
-  .command("rollback")
+  .command("deploy [stage]")
+  .description("Deploy the application")
+  .option("--dry-run", "Print the deployment plan without executing it")
+  .action(withErrorHandling(deploy));
+program
+  .command("releases [stage]")
+  .description("List all releases")
+  .option("--json", "Print the release details as JSON")
+  .action(withErrorHandling(releases));
+program
+  .command("history [stage]")
+  .description("Show the deploy history from revisions.log")
+  .option("--since <since>", "Only entries since a duration (7d, 12h) or date")
+  .option("--user <user>", "Only entries of a user")
+  .option(
+    "--type <type>",
+    `Only entries of a type (${HISTORY_TYPES.join(", ")})`
+  )
+  .option("--limit <limit>", "Only the most recent entries", (value) =>
+    parseInt(value, 10)
+  )
+  .option("--json", "Print the entries as JSON")
+  .action(withErrorHandling(history));
+program
+  .command("rollback [stage]")
   .description("Rollback to the previous release")
-  .action(rollback);
+  .option("--dry-run", "Print the rollback plan without executing it")
+  .action(withErrorHandling(rollback));
 program
-  .command("switch [releaseId]")
+  .command("switch [stage] [releaseId]")
   .description("Switch versions")
-  .action(switchVersion);
+  .option("--dry-run", "Print the switch plan without executing it")
+  .action(withErrorHandling(switchVersion));
+program
+  .command("lock:status [stage]")
+  .description("Show who holds the deploy lock")
+  .action(withErrorHandling(lockStatus));
+program
+  .command("unlock [stage]")
+  .description("Remove a stale deploy lock")
+  .option("--force", "Remove the lock regardless of its holder")
+  .action(withErrorHandling(unlock));
+program
+  .command("check [stage]")
+  .description("Verify that the servers are ready for a deployment")
+  .action(withErrorHandling(check));
+program
+  .command("config:validate [stage]")
+  .description("Validate the deploy configuration without connecting")
+  .action(withErrorHandling(validateConfig));
 program
   .command("setup")
   .description("Setup deployment configuration")
-  .action(setup);
+  .action(withErrorHandling(setup));
 
 program.parse(process.argv);
@@ -1,15 +1,29 @@
 // lib/Einsatz.js
 
 // Global imports
+import { EventEmitter } from "events";
+import { promises as fs } from "fs";
+import path from "path";
 import chalk from "chalk";
-import { Client } from "ssh2";
 
 // Local imports
-import { sectionLogger, actionLogger } from "./utils/logger.js";
+import {
+  sectionLogger,
+  actionLogger,
+  setSilent,
+  isSilent,
+  startTranscript,
+  stopTranscript,
+  transcriptLogger,
+} from "./utils/logger.js";
 import { establishConnection } from "./utils/sshConnection.js";
+import { resolveConnectionConfig } from "./utils/sshConfig.js";
 import { testAgentForwarding } from "./utils/testAgentForwarding.js";
-import { handleError } from "./utils/handleError.js";
-import { asyncWrapper } from "./utils/asyncWrapper.js";
+import {
+  parseRevisionLog,
+  filterRevisionLog,
+  parseSince,
+} from "./utils/revisionLog.js";
 
 import { CopyDeployer } from "./deployer/CopyDeployer.js";
 import { GitDeployer } from "./deployer/GitDeployer.js";
@@ -17,6 +31,7 @@ import { RemoteCacheDeployer } from "./deployer/RemoteCacheDeployer.js";
 import { RemoteSyncDeployer } from "./deployer/RemoteSyncDeployer.js";
 
 import SSHError from "./errors/SSHError.js";
+import ConfigError from "./errors/ConfigError.js";
 
 /**
  * Deployer selection through object mapping.
@@ -28,44 +43,128 @@ const deployerMapping = {
   remoteSync: RemoteSyncDeployer,
 };
 
+/**
+ * Roles assigned to servers that do not declare any roles.
+ */
+const defaultRoles = ["web", "worker", "db"];
+
+/**
+ * Seconds a remote command may run unless commandTimeout is configured.
+ */
+const defaultCommandTimeout = 1800;
+
 /**
  * Einsatz is a utility class for deploying projects to a remote VPS using an approach
  * inspired by Capistrano. It provides functionality for uploading repositories, managing releases,
  * and maintaining symlinks for deployments.
+ *
+ * Progress is emitted as events, the CLI is one subscriber:
+ * - task:start / task:finish ({ task, hosts, stage, release[, duration] })
+ * - command:stdout / command:stderr ({ host, command, data })
+ * - deploy:success (the deploy result) / deploy:failure ({ error, stage, release, task, duration })
  */
-class Einsatz {
+class Einsatz extends EventEmitter {
   /**
    * Creates an instance of Einsatz.
    *
    * @param {Object} config - The configuration object.
    * @param {String} config.application - The name of the application
+   * @param {String} [config.stage] - The deployment stage (e.g. staging, production)
    * @param {String} config.deployVia - The name of the application
    * @param {Object} config.connectionConfig - Configuration for the remote VPS.
-   * @param {string} config.connectionConfig.host - Hostname or IP address of the VPS.
-   * @param {number} config.connectionConfig.port - Port for the SSH connection.
-   * @param {string} config.connectionConfig.username - Username for the SSH connection.
+   * @param {string} config.connectionConfig.host - Hostname, IP address or ~/.ssh/config alias of the VPS.
+   * @param {number} [config.connectionConfig.port] - Port for the SSH connection, defaults to ~/.ssh/config or 22.
+   * @param {string} [config.connectionConfig.username] - Username for the SSH connection, defaults to ~/.ssh/config or the local user.
    * @param {string} config.connectionConfig.agent - Agent for the SSH connection.
    * @param {string} config.connectionConfig.agentForward - Agentforwarding option.
+   * @param {string[]} [config.connectionConfig.keys] - Private key files, tried after the agent.
+   * @param {string} [config.connectionConfig.passphrase] - Passphrase of the keys, asked for on the terminal if missing.
+   * @param {string} [config.connectionConfig.password] - Password for password authentication.
+   * @param {boolean} [config.connectionConfig.tryKeyboard] - Tries keyboard-interactive authentication.
+   * @param {number} [config.connectionConfig.timeout] - Seconds to wait for the connection.
+   * @param {number} [config.connectionConfig.keepaliveInterval=15] - Seconds between keepalive messages.
+   * @param {number} [config.connectionConfig.keepaliveCountMax=4] - Unanswered keepalive messages before the connection counts as lost.
+   * @param {string|Object|Array} [config.connectionConfig.jumpHost] - Jump host or chain of jump hosts ([user@]host[:port] or { host, port, user, keys }), defaults to the ProxyJump of ~/.ssh/config.
+   * @param {Object[]} [config.servers] - Servers to deploy to, defaults to the connectionConfig host with all roles.
+   * @param {Object} config.servers[].connectionConfig - Configuration for the server, see config.connectionConfig.
+   * @param {string[]} [config.servers[].roles] - Roles of the server (web, worker, db).
+   * @param {boolean} [config.servers[].primary] - Marks the server as primary server of its roles.
    * @param {Object} config.repoDetails - Repository details for the project.
    * @param {string} config.repoDetails.repoUrl - URL of the Git repository.
    * @param {string} config.repoDetails.branch - Branch to deploy.
-   * @param {string} config.nodeVersion - The nodeVersion used on the VPS.
+   * @param {string} [config.nodeVersion] - The node version every remote node command runs with.
+   * @param {string} [config.packageManager] - The package manager installing the dependencies (npm, pnpm, yarn), detected from the lockfile if unset.
+   * @param {Object} [config.installOptions] - Options of the dependency install ({ production, flags }).
+   * @param {string} [config.nodeManager] - The node manager of the servers (nvm, fnm, volta, asdf, system), detected if unset.
+   * @param {string[]} [config.linkedFiles] - Files linked from shared/ into every release.
+   * @param {string[]} [config.linkedDirs] - Directories linked from shared/ into every release.
+   * @param {Object} [config.copyOptions] - Files packaged by the copy deployer ({ include, exclude }).
+   * @param {Object} [config.remoteSyncOptions] - Directory synced by the remoteSync deployer ({ source, exclude }).
+   * @param {Object} [config.healthCheck] - Health check run after the restart (see AbstractDeployer.checkHealth).
+   * @param {boolean} [config.dryRun] - Prints the commands of deploy, rollback and switch without executing them.
+   * @param {boolean} [config.silent] - Suppresses the console output, progress is only emitted as events.
+   * @param {Object} [config.hooks] - Hooks run before and after tasks ({ before: { task: [...] }, after: { task: [...] } }).
+   * @param {number} [config.commandTimeout=1800] - Seconds a remote command may run before it is killed, 0 waits forever.
+   * @param {Object} [config.taskTimeouts] - Timeouts of single tasks in seconds ({ "npm:install": 1800 }).
+   * @param {number} [config.reconnectAttempts=3] - Reconnects while retrying a task after the connection dropped.
    * @param {string} config.projectFolder - The base directory for the project on the VPS.
    */
   constructor({
     application,
+    stage,
     deployVia,
     connectionConfig,
+    servers,
     repoDetails,
     nodeVersion,
+    nodeManager,
+    packageManager,
+    installOptions,
+    linkedFiles,
+    linkedDirs,
+    copyOptions,
+    remoteSyncOptions,
+    healthCheck,
+    hooks,
+    commandTimeout,
+    taskTimeouts,
+    reconnectAttempts,
+    dryRun,
+    silent,
     projectFolder,
   }) {
+    super();
     this.application = application; // The application name
+    this.stage = stage; // The deployment stage
     this.deployVia = deployVia; // deployment method
-    this.connectionConfig = connectionConfig; // { host, port, username, agent }
+    this.servers = (servers || [{ connectionConfig, primary: true }]).map(
+      (server) => ({
+        connectionConfig: server.connectionConfig,
+        roles: server.roles || defaultRoles,
+        primary: Boolean(server.primary),
+      })
+    ); // [{ connectionConfig, roles, primary }]
+    this.connectionConfig = (
+      this.servers.find((server) => server.primary) || this.servers[0]
+    ).connectionConfig; // { host, port, username, agent } of the primary server
+    this.hosts = []; // Connected servers during a deployment
     this.repoDetails = repoDetails; // { repoUrl, branch }
     this.nodeVersion = nodeVersion;
+    this.nodeManager = nodeManager; // Detected on every server if unset
+    this.packageManager = packageManager; // Detected from the lockfile of the release if unset
+    this.installOptions = installOptions; // { production, flags } of the dependency install
+    this.linkedFiles = linkedFiles || []; // Paths relative to shared/ and the release
+    this.linkedDirs = linkedDirs || []; // Paths relative to shared/ and the release
+    this.copyOptions = copyOptions; // { include, exclude } patterns for deployVia copy
+    this.remoteSyncOptions = remoteSyncOptions; // { source, exclude } for deployVia remoteSync
+    this.healthCheck = healthCheck; // { type, url, expectedStatus, ... } or undefined
+    this.hooks = hooks || {}; // { before, after } commands or functions per task
+    this.commandTimeout = commandTimeout ?? defaultCommandTimeout; // Seconds per remote command, see asyncWrapper
+    this.taskTimeouts = taskTimeouts || {}; // { task: seconds }, overrides commandTimeout
+    this.reconnectAttempts = reconnectAttempts ?? 3; // Retries of tasks after the connection dropped
+    this.dryRun = Boolean(dryRun); // Only read-only commands are executed
     this.projectFolder = projectFolder; // Path to project folder on the VPS
+    this.silent = Boolean(silent); // Silences the loggers while an operation runs, see _silenceLogger()
     this.repoDirectory = `${this.projectFolder}/repo`; // Repo directory location on the VPS
     this.revisionLogFile = `${this.projectFolder}/revisions.log`; // Path to revisions.log file
     this.revision = "";
@@ -77,52 +176,80 @@ class Einsatz {
    * Executes the deployment process.
    *
    * Steps:
-   * 1. Establishes an SSH connection to the VPS.
+   * 1. Establishes an SSH connection to every server.
    * 2. Hands deployment process over to the selected Deployer class
    *
-   * @returns {Promise<void>} Resolves when the deployment process completes.
-   * @throws {Error} Throws errors if any step in the deployment fails.
+   * Emits deploy:success with the result or deploy:failure with the error.
+   *
+   * @returns {Promise<Object>} Resolves with the deployed release ({ stage, release, revision, branch, hosts, duration, dryRun }).
+   * @throws {DeploymentError|LockError|SSHError} Rejects with the error the deployment failed with.
    */
   async deploy() {
-    try {
-      // Establish SSH connection
-      this.conn = await establishConnection(this.connectionConfig);
+    const startedAt = Date.now();
 
-      // Create revisionTime and assign to the Einsatz revisionTime property
-      const timestamp = new Date()
-        .toISOString()
-        .replace(/[:\-T]/g, "")
-        .split(".")[0];
-      this.revisionTime = timestamp;
+    // Create revisionTime and assign to the Einsatz revisionTime property, it also names the transcript
+    this.revisionTime = Einsatz._timestamp();
+    startTranscript();
 
-      // Test if SSH agent forwarding is working
-      await testAgentForwarding(this.conn, this.connectionConfig);
+    const restoreLogger = this._silenceLogger();
+    try {
+      // Establish an SSH connection per server and test if SSH agent forwarding is working
+      await this._connect({ testAgent: true });
 
       // Instantiate the deployer after connection is ready
+      this.deployer = this._createDeployer();
 
-      const DeployerClass = deployerMapping[this.deployVia];
-      if (!DeployerClass) {
-        // handles error locally and throws it to the catch
-        throw new Error(`Unsupported deploy method: ${this.deployVia}`);
-      }
-      /**
-       * throw error and let the previous class handle it
-       * throw the error close to the error point and catch it close to the user
-       * you shouldn't catch the error where it happends, but where the code is consumed ... closer to the user.
-       **/
-
-      // Pass the connection as well as the Einsatz instance object to the deployer
-      this.deployer = new DeployerClass(this, this.conn);
+      // Prevent concurrent deployments to the same project folder
+      await this.deployer.lock("deploy", this.revisionTime);
 
       // Delegate deployment process to the selected deployer
-      await this.deployer.deploy();
+      try {
+        await this.deployer.deploy();
+      } catch (error) {
+        // Remove the failed release and restore the previous one
+        await this.deployer.failedDeploy(error);
+        throw error;
+      }
+
+      const result = {
+        stage: this.stage,
+        release: this.revisionTime,
+        revision: this.deployer.revision,
+        branch: this.repoDetails?.branch,
+        hosts: this.hosts.map((host) => host.connectionConfig.host),
+        duration: Date.now() - startedAt,
+        dryRun: this.dryRun,
+      };
+      // The outcome is logged before the transcript is saved
+      const commit = String(result.revision).slice(0, 7);
+      const seconds = Math.round(result.duration / 1000);
+      actionLogger.success(
+        `Deployed release ${result.release} (${commit}) to ${result.hosts.join(
+          ", "
+        )} in ${seconds}s`
+      );
+      this.emit("deploy:success", result);
+      return result;
     } catch (error) {
-      handleError(error);
+      const failure = {
+        error,
+        stage: this.stage,
+        release: this.revisionTime || null,
+        task: error.task || this.deployer?.currentTask || null,
+        duration: Date.now() - startedAt,
+      };
+      transcriptLogger("error", `${error.name}: ${error.message}`);
+      actionLogger.error(
+        `Deployment of release ${failure.release || "-"} failed at ${
+          failure.task || "-"
+        }`
+      );
+      this.emit("deploy:failure", failure);
+      throw error;
     } finally {
-      // Ensure the SSH connection is closed regardless of success or failure
-      if (this.conn) {
-        this.conn.end();
-      }
+      await this._saveTranscript(this.revisionTime);
+      // Ensure the lock is released and the SSH connections are closed regardless of success or failure
+      await this._disconnect().finally(restoreLogger);
     }
   }
 
@@ -130,320 +257,420 @@ class Einsatz {
    * Gets information about all current releases.
    *
    * Steps:
-   * 1. Establishes an SSH connection to the VPS.
-   * 2. Collects details about all current releases
-   * 3. Displays release information
+   * 1. Establishes an SSH connection to every server.
+   * 2. Reads the current release and the release.json of every release on the primary server
    *
-   * @returns {Promise<void>} Resolves when the deployment process completes.
-   * @throws {Error} Throws errors if any step in the deployment fails.
+   * @returns {Promise<Object[]>} Resolves with the release details, oldest first, the live release
+   * flagged with `live`.
+   * @throws {DeploymentError|SSHError} Rejects if the releases cannot be read.
    */
-  async getReleaseIds() {
-    const conn = new Client();
-
-    sectionLogger("ssh:connection", chalk.blue);
-    actionLogger.info(
-      `01 ssh ${this.connectionConfig.username}@${this.connectionConfig.host}`,
-      chalk.yellow
-    );
-
-    return new Promise((resolve, reject) => {
-      conn
-        .on("ready", async () => {
-          actionLogger.success(
-            `01 ${this.connectionConfig.username}@${this.connectionConfig.host}`,
-            chalk.green
-          );
-          try {
-            // deploy:check:get_releases
-            sectionLogger("deploy:get_releases", chalk.blue);
-
-            // list all subdirectories inide the releases directory, but not their content
-            const getReleasesCommand = `ls -d ${this.projectFolder}/releases/*/`;
-            actionLogger.info(`01 ${getReleasesCommand}`, chalk.yellow);
-
-            const response = await asyncWrapper(conn, getReleasesCommand);
-            actionLogger.success(
-              `01 ${this.connectionConfig.username}@${this.connectionConfig.host}`,
-              chalk.green
-            );
-            // Create s directories array by splitting response on newline
-            // replace '/' with an empty string
-            const directories = response
-              .split("\n")
-              .filter((line) => line.trim() !== "")
-              .map((line) => line.trim().replace("/", ""));
-            let releases = [];
-
-            // Slice last 14 digits of the path string and push it into the releases array
-            directories.forEach((path, index) => {
-              releases.push(path.slice(path.lastIndexOf("/") - 14, -1));
-            });
-
-            actionLogger.info(`02 release parsing`, chalk.yellow);
-            actionLogger.info(`Releases: ${releases.join(", ")}`);
-            actionLogger.success(
-              `02 ${this.connectionConfig.username}@${this.connectionConfig.host}`,
-              chalk.green
-            );
-
-            resolve(releases); // Resolve with the list of releases
-          } catch (error) {
-            actionLogger.error(
-              `Error getting the releases: ${error.message}`,
-              chalk.red
-            );
-            reject(error); // Reject the promise if there's an error
-          } finally {
-            conn.end(); // Ensure connection is closed
-          }
-        })
-        .on("error", (err) => {
-          console.error("SSH Connection Error:", err);
-          reject(err); // Reject the promise on connection error
-        })
-        .connect(this.connectionConfig);
-    });
+  async getReleases() {
+    const restoreLogger = this._silenceLogger();
+    try {
+      await this._connect();
+      this.deployer = this._createDeployer();
+      const host = this.deployer.primaryHost();
+
+      sectionLogger("deploy:releases", chalk.blue);
+      const currentRelease = await this.deployer.getCurrentRelease(
+        host.conn,
+        this.projectFolder,
+        1,
+        host.connectionMessage
+      );
+      const releases = await this.deployer.listReleaseDetails(
+        host.conn,
+        this.projectFolder,
+        2,
+        host.connectionMessage
+      );
+
+      return releases.map((release) => ({
+        ...release,
+        live: release.releaseId === currentRelease,
+      }));
+    } finally {
+      await this._disconnect().finally(restoreLogger);
+    }
+  }
+
+  /**
+   * Reads the deploy history from revisions.log of the primary server.
+   *
+   * @param {Object} [filters] - Filters applied to the entries, see filterRevisionLog().
+   * @returns {Promise<Object[]>} Resolves with the matching entries, oldest first.
+   * @throws {Error} Rejects if a filter is invalid or the history cannot be read.
+   */
+  async getHistory(filters = {}) {
+    // Reject invalid filters before connecting
+    if (filters.since) {
+      parseSince(filters.since);
+    }
+
+    const restoreLogger = this._silenceLogger();
+    try {
+      await this._connect();
+      this.deployer = this._createDeployer();
+      const host = this.deployer.primaryHost();
+
+      sectionLogger("deploy:history", chalk.blue);
+      const content = await this.deployer.readRevisionLog(
+        host.conn,
+        this.projectFolder,
+        1,
+        host.connectionMessage
+      );
+
+      return filterRevisionLog(parseRevisionLog(content), filters);
+    } finally {
+      await this._disconnect().finally(restoreLogger);
+    }
   }
 
   /**
    * Rolls deployment back one step.
    *
    * Steps:
-   * 1. Establishes an SSH connection to the VPS.
-   * 2. Identifies the current release starting form the current symlink
-   * 3. Links the previous release in the release order
+   * 1. Establishes an SSH connection to every server.
+   * 2. Identifies the current release from the current symlink on the primary server
+   * 3. Atomically links the previous release in the release order and restarts the application
    *
-   * @returns {Promise<void>} Resolves when the deployment process completes.
-   * @throws {Error} Throws errors if any step in the deployment fails.
+   * @returns {Promise<Object>} Resolves with the release change ({ action, from, to, revision, changed }).
+   * @throws {DeploymentError|LockError|SSHError} Rejects with the error the rollback failed with.
    */
   async rollback() {
-    const conn = new Client();
+    const runId = Einsatz._timestamp();
+    startTranscript();
 
-    sectionLogger("ssh:connection", chalk.blue);
-    actionLogger.info(
-      `01 ssh ${this.connectionConfig.username}@${this.connectionConfig.host}`,
-      chalk.yellow
-    );
-
-    conn
-      .on("ready", async () => {
+    const restoreLogger = this._silenceLogger();
+    try {
+      await this._connect();
+      this.deployer = this._createDeployer();
+      await this.deployer.lock("rollback");
+      const result = await this.deployer.rollback();
+      if (result.changed) {
         actionLogger.success(
-          `01 ${this.connectionConfig.username}@${this.connectionConfig.host}`,
-          chalk.green
+          `Rolled back from release ${result.from} to ${result.to}`
         );
-        try {
-          // deploy:rollback
-          sectionLogger("deploy:rollback", chalk.blue);
-
-          try {
-            // get current release
-            const currentPath = `${this.projectFolder}/current`;
-            const currentReleasePath = fs.realpathSync(currentPath);
-
-            // list all subdirectories inside the releases directory, but not their content
-            const getReleasesCommand = `ls -d ${this.projectFolder}/releases/*/`;
-            actionLogger.info(`01 ${getReleasesCommand}`, chalk.yellow);
-
-            const response = await asyncWrapper(conn, getReleasesCommand);
-            actionLogger.success(
-              `01 ${this.connectionConfig.username}@${this.connectionConfig.host}`,
-              chalk.green
-            );
-            // Create s directories array by splitting response on newline
-            // replace '/' with an empty string
-            const directories = response
-              .split("\n")
-              .filter((line) => line.trim() !== "")
-              .map((line) => line.trim().replace("/", ""));
-            let releases = [];
-
-            // Slice last 14 digits of the path string and push it into the releases array
-            directories.forEach((path, index) => {
-              releases.push(path.slice(path.lastIndexOf("/") - 14, -1));
-            });
-
-            const currentRelease = currentReleasePath
-              .split("/")
-              .filter(Boolean)
-              .pop();
-            const currentIndex = releases.indexOf(currentRelease);
-            if (currentIndex === 0) {
-              actionLogger.log(
-                "Current release is the oldest release available. Nothing to rollback to."
-              );
-              return; // Exit the method
-            } else if (currentIndex > 0) {
-              previousRelease = releases[currentIndex - 1];
-            } else {
-              actionLogger.log("Current release not found in the list.");
-              return; // Exit the method
-            }
-
-            actionLogger.info(
-              `01 current release: ${currentRelease}, previous release: ${previousRelease}`
-            );
-          } catch (error) {
-            actionLogger.error(
-              `Error getting releases:" ${error.message}`,
-              chalk.red
-            );
-          } finally {
-            actionLogger.success(
-              `01 ${this.connectionConfig.username}@${this.connectionConfig.host}`
-            );
-          }
-
-          try {
-            const target = `${this.projectFolder}/releases/${previousRelease}`;
-            const link = `${this.projectFolder}/current`;
-            const rollbackReleasesCommand = `ln -s ${target} ${link}`;
-            actionLogger.info(`02 ${rollbackReleasesCommand}`, chalk.yellow);
-            await asyncWrapper(conn, rollbackReleasesCommand);
-          } catch (error) {
-            actionLogger.error(
-              `Error symlinking previous release:" ${error.message}`,
-              chalk.red
-            );
-          } finally {
-            actionLogger.success(
-              `02 ${this.connectionConfig.username}@${this.connectionConfig.host}`
-            );
-          }
-
-          try {
-            sectionLogger("deploy:log_revision", chalk.blue);
-
-            const logRevisionCommand = `echo "Rolled back release ${currentRelease} to release ${previousRelease} by ${this.connectionConfig.username}" >> ${this.projectFolder}/revisions.log`;
-            actionLogger.info(`01 ${logRevisionCommand}`, chalk.yellow);
-            await asyncWrapper(conn, logRevisionCommand);
-          } catch (error) {
-            actionLogger.error(
-              `Error writing revisions log:" ${error.message}`,
-              chalk.red
-            );
-          } finally {
-            actionLogger.success(
-              `01 ${this.connectionConfig.username}@${this.connectionConfig.host}`,
-              chalk.green
-            );
-          }
-        } catch (error) {
-          actionLogger.error(
-            `Error rolling back:" ${error.message}`,
-            chalk.red
-          );
-        } finally {
-          conn.end(); // Ensure connection is closed
-        }
-      })
-      .on("error", (err) => {
-        console.error("SSH Connection Error:", err);
-      })
-      .connect(this.connectionConfig);
+      }
+      return result;
+    } catch (error) {
+      transcriptLogger("error", `${error.name}: ${error.message}`);
+      throw error;
+    } finally {
+      await this._saveTranscript(runId);
+      await this._disconnect().finally(restoreLogger);
+    }
   }
 
   /**
    * Switches to a specific release.
    *
    * Steps:
-   * 1. Establishes an SSH connection to the VPS.
-   * 2. Identifies the current release
-   * 3. Links the release provided as an argument
+   * 1. Establishes an SSH connection to every server.
+   * 2. Identifies the current release from the current symlink on the primary server
+   * 3. Atomically links the release provided as an argument and restarts the application
    *
-   * @param {number} releaseId - The ID of a release to identify
+   * @param {string} release - The ID of the release to switch to
    *
-   * @returns {Promise<void>} Resolves when the deployment process completes.
-   * @throws {Error} Throws errors if any step in the deployment fails.
+   * @returns {Promise<Object>} Resolves with the release change ({ action, from, to, revision, changed }).
+   * @throws {DeploymentError|LockError|SSHError} Rejects with the error the switch failed with.
    */
   async switchRelease(release) {
-    const conn = new Client();
-
-    sectionLogger("ssh:connection", chalk.blue);
-    actionLogger.info(
-      `01 ssh ${this.connectionConfig.username}@${this.connectionConfig.host}`,
-      chalk.yellow
-    );
+    const runId = Einsatz._timestamp();
+    startTranscript();
 
-    conn
-      .on("ready", async () => {
+    const restoreLogger = this._silenceLogger();
+    try {
+      await this._connect();
+      this.deployer = this._createDeployer();
+      await this.deployer.lock("switch", release);
+      const result = await this.deployer.switchRelease(release);
+      if (result.changed) {
         actionLogger.success(
-          `01 ${this.connectionConfig.username}@${this.connectionConfig.host}`,
-          chalk.green
+          `Switched from release ${result.from} to ${result.to}`
         );
-        try {
-          // deploy:switch_release
-          sectionLogger("deploy:switch_release", chalk.blue);
-
-          try {
-            // get current release
-            const currentPath = `${this.projectFolder}/current`;
-            const currentReleasePath = fs.realpathSync(currentPath);
-            const currentRelease = currentReleasePath
-              .split("/")
-              .filter(Boolean)
-              .pop();
-
-            actionLogger.info(
-              `01 current release: ${currentRelease}, target release: ${release}`
-            );
-          } catch (error) {
-            actionLogger.error(
-              `Error getting current release:" ${error.message}`,
-              chalk.red
-            );
-          } finally {
-            actionLogger.success(
-              `01 ${this.connectionConfig.username}@${this.connectionConfig.host}`
-            );
-          }
+      }
+      return result;
+    } catch (error) {
+      transcriptLogger("error", `${error.name}: ${error.message}`);
+      throw error;
+    } finally {
+      await this._saveTranscript(runId);
+      await this._disconnect().finally(restoreLogger);
+    }
+  }
 
-          try {
-            const target = `${this.projectFolder}/releases/${release}`;
-            const link = `${this.projectFolder}/current`;
-            const switchReleaseCommand = `ln -s ${target} ${link}`;
-            actionLogger.info(`02 ${switchReleaseCommand}`, chalk.yellow);
-            await asyncWrapper(conn, switchReleaseCommand);
-          } catch (error) {
-            actionLogger.error(
-              `Error symlinking requested release:" ${error.message}`,
-              chalk.red
-            );
-          } finally {
-            actionLogger.success(
-              `02 ${this.connectionConfig.username}@${this.connectionConfig.host}`
-            );
-          }
+  /**
+   * Shows who holds the deploy lock on every server.
+   *
+   * @returns {Promise<Array>} Resolves with the lock details per host, null for unlocked hosts.
+   * @throws {DeploymentError|SSHError} Rejects if a lock cannot be read.
+   */
+  async lockStatus() {
+    const restoreLogger = this._silenceLogger();
+    try {
+      await this._connect();
+      this.deployer = this._createDeployer();
+
+      sectionLogger("deploy:lock:status", chalk.blue);
+      const locks = [];
+      for (const host of this.hosts) {
+        const lock = await this.deployer.readLock(
+          host.conn,
+          this.projectFolder,
+          1,
+          host.connectionMessage
+        );
+        actionLogger.info(
+          lock
+            ? `${host.connectionConfig.host}: locked by ${lock.user}@${lock.hostname} since ${lock.since} (${lock.action} ${lock.release})`
+            : `${host.connectionConfig.host}: not locked`
+        );
+        locks.push({ host: host.connectionConfig.host, lock });
+      }
+      return locks;
+    } finally {
+      await this._disconnect().finally(restoreLogger);
+    }
+  }
 
-          try {
-            sectionLogger("deploy:log_revision", chalk.blue);
-
-            const logRevisionCommand = `echo "Switched from release ${currentRelease} to release ${release} by ${this.connectionConfig.username}" >> ${this.projectFolder}/revisions.log`;
-            actionLogger.info(`01 ${logRevisionCommand}`, chalk.yellow);
-            await asyncWrapper(conn, logRevisionCommand);
-          } catch (error) {
-            actionLogger.error(
-              `Error writing revisions log:" ${error.message}`,
-              chalk.red
-            );
-          } finally {
-            actionLogger.success(
-              `01 ${this.connectionConfig.username}@${this.connectionConfig.host}`,
-              chalk.green
-            );
+  /**
+   * Removes the deploy lock on every server, e.g. after an aborted deployment.
+   *
+   * @returns {Promise<string[]>} Resolves with the hosts the lock was removed from.
+   * @throws {DeploymentError|SSHError} Rejects if a lock cannot be removed.
+   */
+  async forceUnlock() {
+    const restoreLogger = this._silenceLogger();
+    try {
+      await this._connect();
+      this.deployer = this._createDeployer();
+
+      for (const host of this.hosts) {
+        await this.deployer.removeLock(
+          host.conn,
+          this.projectFolder,
+          1,
+          host.connectionMessage
+        );
+      }
+      return this.hosts.map((host) => host.connectionConfig.host);
+    } finally {
+      await this._disconnect().finally(restoreLogger);
+    }
+  }
+
+  /**
+   * Verifies that every server is ready for a deployment, without changing anything.
+   *
+   * @returns {Promise<Object>} Resolves with the report ({ ok, checks: [{ host, item, ok, detail }] }).
+   * @throws {SSHError} Throws if a connection cannot be established.
+   */
+  async check() {
+    const restoreLogger = this._silenceLogger();
+    try {
+      await this._connect();
+      this.deployer = this._createDeployer();
+      const checks = await this.deployer.check();
+      return { ok: checks.every((result) => result.ok), checks };
+    } finally {
+      await this._disconnect().finally(restoreLogger);
+    }
+  }
+
+  /**
+   * Establishes an SSH connection to every server and stores them as hosts.
+   *
+   * @param {Object} [options] - Connection options.
+   * @param {boolean} [options.testAgent=false] - Tests SSH agent forwarding on every host forwarding the agent.
+   * @returns {Promise<void>} Resolves when all connections are ready.
+   * @throws {SSHError} Throws if a connection cannot be established.
+   */
+  async _connect({ testAgent = false } = {}) {
+    if (this.dryRun) {
+      sectionLogger("dry-run", chalk.magenta);
+      actionLogger.info(
+        "Dry run: read-only queries are executed, all other commands are only printed",
+        chalk.magenta
+      );
+    }
+
+    for (const server of this.servers) {
+      // Host aliases are looked up in ~/.ssh/config
+      const connectionConfig = resolveConnectionConfig(server.connectionConfig);
+      const conn = await this._openConnection(connectionConfig);
+      this.hosts.push({
+        ...server,
+        connectionConfig,
+        conn,
+        connectionMessage: `${connectionConfig.username}@${connectionConfig.host}`,
+      });
+
+      // Without forwarding the server pulls with its own credentials
+      if (testAgent && connectionConfig.agentForward) {
+        await testAgentForwarding(conn, connectionConfig);
+      }
+    }
+    this.conn = this.hosts[0].conn;
+  }
+
+  /**
+   * Opens the SSH connection to a server and prepares it for asyncWrapper().
+   *
+   * @param {Object} connectionConfig - The resolved connection configuration.
+   * @returns {Promise<Client>} Resolves with the connection.
+   * @throws {SSHError} Throws if the connection cannot be established.
+   */
+  async _openConnection(connectionConfig) {
+    const conn = await establishConnection(connectionConfig);
+    conn.dryRun = this.dryRun;
+    conn.events = this; // Command output is emitted on the Einsatz instance
+    conn.hostName = connectionConfig.host;
+    return conn;
+  }
+
+  /**
+   * Replaces the lost connection of a host, used by the deployer to retry tasks.
+   *
+   * @param {Object} host - The connected host.
+   * @returns {Promise<void>} Resolves when the host is connected again.
+   * @throws {SSHError} Throws if the connection cannot be established.
+   */
+  async _reconnect(host) {
+    const lostConn = host.conn;
+    lostConn.end();
+    host.conn = await this._openConnection(host.connectionConfig);
+
+    if (this.conn === lostConn) {
+      this.conn = host.conn;
+    }
+    if (this.deployer?.conn === lostConn) {
+      this.deployer.conn = host.conn;
+    }
+  }
+
+  /**
+   * Stops the transcript of the run and writes it to log/einsatz/<stage>-<runId>.log locally
+   * and to shared/logs/deploys on every host the run took the deploy lock on.
+   * Transcripts older than the oldest kept release are removed locally as well. Failures are
+   * only logged.
+   *
+   * @param {string} runId - The timestamp of the run, the release id of deployments.
+   * @returns {Promise<void>} Resolves when the transcript is saved.
+   */
+  async _saveTranscript(runId) {
+    const content = stopTranscript();
+    if (!content) {
+      return;
+    }
+
+    const stage = this.stage || "default";
+    const fileName = `${stage}-${runId}.log`;
+    const localDir = path.resolve(process.cwd(), "log", "einsatz");
+
+    sectionLogger("deploy:transcript", chalk.blue);
+    try {
+      await fs.mkdir(localDir, { recursive: true });
+      await fs.writeFile(path.join(localDir, fileName), content);
+      actionLogger.info(`Transcript written to log/einsatz/${fileName}`);
+
+      // Local transcripts follow the releases kept on the servers
+      const oldestRelease = this.deployer?.oldestKeptRelease;
+      if (oldestRelease) {
+        for (const file of await fs.readdir(localDir)) {
+          const match = file.match(/^(.+)-(\d{14})\.log$/);
+          if (match && match[1] === stage && match[2] < oldestRelease) {
+            await fs.rm(path.join(localDir, file), { force: true });
           }
-        } catch (error) {
-          actionLogger.error(
-            `Error switching the release" ${error.message}`,
-            chalk.red
+        }
+      }
+
+      // Hosts this run could not lock are left to the holder of their lock
+      if (this.deployer) {
+        for (const host of this.deployer.lockedHosts || []) {
+          await this.deployer._ensureConnected(host);
+          await this.deployer.uploadTranscript(
+            host.conn,
+            this.projectFolder,
+            fileName,
+            content,
+            1,
+            host.connectionMessage
           );
-        } finally {
-          conn.end(); // Ensure connection is closed
         }
-      })
-      .on("error", (err) => {
-        console.error("SSH Connection Error:", err);
-      })
-      .connect(this.connectionConfig);
+      }
+    } catch (error) {
+      actionLogger.error(`Saving the transcript failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Silences the loggers for an operation of a silent instance. The loggers are shared
+   * by all instances, their previous state is restored when the operation ends.
+   *
+   * @returns {Function} Restores the previous state of the loggers.
+   */
+  _silenceLogger() {
+    const silent = isSilent();
+    if (this.silent) {
+      setSilent(true);
+    }
+    return () => setSilent(silent);
+  }
+
+  /**
+   * Creates a timestamp in the release id format YYYYMMDDHHMMSS (UTC).
+   *
+   * @returns {string} The timestamp.
+   */
+  static _timestamp() {
+    return new Date()
+      .toISOString()
+      .replace(/[:\-T]/g, "")
+      .split(".")[0];
+  }
+
+  /**
+   * Releases a held deploy lock and closes the SSH connections of all hosts.
+   *
+   * @returns {Promise<void>} Resolves when all connections are closed.
+   */
+  async _disconnect() {
+    if (this.deployer) {
+      await this.deployer.unlock();
+    }
+    this.hosts.forEach((host) => host.conn.end());
+    this.hosts = [];
+    this.conn = undefined;
+  }
+
+  /**
+   * Instantiates the deployer selected through deployVia.
+   *
+   * @returns {AbstractDeployer} The deployer instance.
+   * @throws {ConfigError} Throws custom ConfigError if the deploy method is not supported.
+   */
+  _createDeployer() {
+    const DeployerClass = deployerMapping[this.deployVia];
+    if (!DeployerClass) {
+      /**
+       * throw error and let the previous class handle it
+       * throw the error close to the error point and catch it close to the user
+       * you shouldn't catch the error where it happends, but where the code is consumed ... closer to the user.
+       **/
+      throw new ConfigError(`Unsupported deploy method: ${this.deployVia}`, [
+        {
+          key: "deployVia",
+          message: `unknown value '${
+            this.deployVia
+          }', expected one of ${Object.keys(deployerMapping).join(", ")}`,
+        },
+      ]);
+    }
+
+    // Pass the Einsatz instance object including the connected hosts to the deployer
+    return new DeployerClass(this, this.conn);
   }
 }
 
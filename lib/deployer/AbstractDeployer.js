@@ -1,12 +1,121 @@
 // lib/deployer/AbstractDeployer.js
 
 // Global imports
+import os from "os";
+import path from "path";
+import { randomUUID } from "crypto";
 import chalk from "chalk";
+import execa from "execa";
 
 // Local imports
 import DeploymentError from "../errors/DeploymentError.js";
+import LockError from "../errors/LockError.js";
 import { sectionLogger, actionLogger } from "../utils/logger.js";
 import { asyncWrapper } from "../utils/asyncWrapper.js";
+import { shellQuote } from "../utils/shellQuote.js";
+import { formatBytes } from "../utils/formatBytes.js";
+import {
+  detectNodeManagerCommand,
+  parseNodeManager,
+  withNode,
+  matchesNodeVersion,
+} from "../utils/nodeManager.js";
+import {
+  listLockfilesCommand,
+  detectPackageManager,
+  installCommand,
+  dependencyHashCommand,
+  parseDependencyHash,
+  dependencyStampFile,
+} from "../utils/packageManager.js";
+
+/**
+ * Roles each task runs on. Tasks without an entry run on all hosts.
+ * With `primary` set the task only runs on the primary host of the role.
+ */
+const taskRoles = {
+  "deploy:migrate": { roles: ["db"], primary: true },
+  "deploy:migrating": { roles: ["db"], primary: true },
+  "systemctl:restart": { roles: ["web", "worker"] },
+  "deploy:health_check": { roles: ["web", "worker"] },
+};
+
+/**
+ * Tasks which can safely run again after the connection dropped. They are retried on
+ * a new connection, all other tasks fail with the state they left the server in.
+ */
+const retryableTasks = [
+  "deploy:check:directories",
+  "deploy:check:linked_dirs",
+  "deploy:check:make_linked_dirs",
+  "deploy:check:linked_files",
+  "deploy:check:current_release",
+  "deploy:check:release",
+  "deploy:check:server",
+  "deploy:create_release_dir",
+  "deploy:set_current_revision",
+  "deploy:set_current_revision_time",
+  "deploy:write_release_metadata",
+  "deploy:symlink:linked_files",
+  "deploy:symlink:linked_dirs",
+  "git:update_mirror",
+  "git:create_release",
+  "copy:upload",
+  "rsync:sync",
+  "npm:config",
+  "npm:install",
+  "npm:assets:precompile",
+  "npm:backup_package_json",
+  "deploy:symlink:release",
+  "systemctl:restart",
+  "deploy:health_check",
+  "deploy:finish_release_metadata",
+  "deploy:after:symlink_public_resources",
+];
+
+/**
+ * What an interrupted task may have left behind, beyond the release and the current symlink.
+ */
+const interruptedTaskStates = {
+  "deploy:lock": "the deploy lock may be held, see 'einsatz lock:status'",
+  "git:clone": "the release directory may hold a partial clone",
+  "git:pull": "the release directory may hold a partial checkout",
+  "copy:extract":
+    "the release directory may hold a partially extracted archive",
+  "deploy:migrate":
+    "migrations may be partially applied, check the database before deploying again",
+  "deploy:migrating":
+    "migrations may be partially applied, check the database before deploying again",
+  "deploy:cleanup": "old releases may be partially removed",
+  "deploy:log_revision":
+    "the entry of the release in revisions.log may be missing",
+};
+
+/**
+ * Seconds to wait before the first reconnect, doubled for every further attempt.
+ */
+const reconnectDelay = 5;
+
+/**
+ * Name of the lock file inside the project folder.
+ */
+const lockFileName = "einsatz.lock";
+
+/**
+ * File inside the project folder recording the process group of the running command of a
+ * retryable task, see stopInterruptedCommand(). It is removed with the deploy lock.
+ */
+const pidFileName = "einsatz.pid";
+
+/**
+ * Directory of the deploy transcripts inside the project folder.
+ */
+const transcriptDir = "shared/logs/deploys";
+
+/**
+ * Free disk space `einsatz check` expects in the deployTo directory.
+ */
+const minimumDiskSpace = 1024 * 1024 * 1024;
 
 export class AbstractDeployer {
   constructor(einsatzInstance) {
@@ -14,18 +123,761 @@ export class AbstractDeployer {
       throw new Error("Cannot instantiate AbstractDeployer directly");
     }
     this.conn = einsatzInstance.conn;
+    this.hosts = einsatzInstance.hosts || [];
+    this.connectionConfig = einsatzInstance.connectionConfig;
+    this.nodeVersion = einsatzInstance.nodeVersion;
+    this.nodeManager = einsatzInstance.nodeManager; // Detected per host if unset, see nodeEnvironment()
+    this.packageManager = einsatzInstance.packageManager; // Detected from the lockfile if unset
+    this.installOptions = einsatzInstance.installOptions || {}; // { production, flags }
+    this.releaseDir = `${einsatzInstance.projectFolder}/releases/${einsatzInstance.revisionTime}`;
+    this.repoDirectory = einsatzInstance.repoDirectory;
+    this.revisionLogFile = einsatzInstance.revisionLogFile;
+    this.revision = "";
+    this.localRevision = ""; // Revision of the local repository, set by deployers uploading local files
+    this.revisionTime = einsatzInstance.revisionTime;
+    this.releases = einsatzInstance.releases;
+    this.hooks = einsatzInstance.hooks || {};
+    this.linkedFiles = einsatzInstance.linkedFiles || [];
+    this.linkedDirs = einsatzInstance.linkedDirs || [];
+    this.healthCheck = einsatzInstance.healthCheck;
+    this.application = einsatzInstance.application;
+    this.stage = einsatzInstance.stage;
+    this.strategy = einsatzInstance.deployVia;
     this.repoDetails = einsatzInstance.repoDetails;
     this.projectFolder = einsatzInstance.projectFolder;
+    this.commandTimeout = einsatzInstance.commandTimeout; // Seconds, 0 waits forever
+    this.taskTimeouts = einsatzInstance.taskTimeouts || {}; // Seconds per task
+    this.reconnectAttempts = einsatzInstance.reconnectAttempts ?? 3;
+    this.dryRun = Boolean(einsatzInstance.dryRun); // Local steps are skipped like the remote commands
+    // Replaces the lost connection of a host, provided by the Einsatz instance
+    this.reconnect =
+      typeof einsatzInstance._reconnect === "function"
+        ? (host) => einsatzInstance._reconnect(host)
+        : undefined;
+    // Task events are emitted on the Einsatz instance
+    this.events =
+      typeof einsatzInstance.emit === "function" ? einsatzInstance : undefined;
+  }
+
+  /**
+   * Executes the deployment sequence on all hosts.
+   * The code of the release is transferred by updateCode(), implemented by every deployer.
+   *
+   * @returns {Promise<void>} Resolves when the deployment completes.
+   * @throws {DeploymentError} Throws custom DeploymentError if a step fails.
+   */
+  async deploy() {
+    actionLogger.info(`Starting ${this.strategy} deployment...`);
+    this.startedAt = Date.now();
+
+    const currentSymlink = `${this.projectFolder}/current`;
+
+    // deploy:check:directories
+    await this._runTask("deploy:check:directories", (host) =>
+      this.checkDirectories(
+        host.conn,
+        this.projectFolder,
+        1,
+        host.connectionMessage
+      )
+    );
+
+    // deploy:check:linkedDirs
+    await this._runTask("deploy:check:linked_dirs", (host) =>
+      this.checkLinkedDirs(
+        host.conn,
+        this.projectFolder,
+        this.linkedDirs,
+        1,
+        host.connectionMessage
+      )
+    );
+
+    // deploy:check:makeLinkedDirs
+    await this._runTask("deploy:check:make_linked_dirs", (host) =>
+      this.makeLinkedDirs(
+        host.conn,
+        this.projectFolder,
+        this.linkedDirs,
+        this.linkedFiles,
+        1,
+        host.connectionMessage
+      )
+    );
+
+    // deploy:check:linked_files
+    await this._runTask("deploy:check:linked_files", (host) =>
+      this.checkLinkedFiles(
+        host.conn,
+        this.projectFolder,
+        this.linkedFiles,
+        1,
+        host.connectionMessage
+      )
+    );
+
+    // deploy:check:current_release
+    await this._runTask("deploy:check:current_release", async (host) => {
+      sectionLogger("deploy:check:current_release", chalk.blue);
+      host.previousRelease = await this.getCurrentRelease(
+        host.conn,
+        this.projectFolder,
+        1,
+        host.connectionMessage
+      );
+    });
+
+    // deploy:create:releaseDir
+    await this._runTask("deploy:create_release_dir", (host) => {
+      host.releaseCreated = true; // Remove the release directory if the deployment fails
+      return this.createReleaseDir(
+        host.conn,
+        this.releaseDir,
+        1,
+        host.connectionMessage
+      );
+    });
+
+    // Transfer the code into the release directory
+    await this.updateCode();
+
+    // deploy:set_current_revision
+    await this._runTask("deploy:set_current_revision", async (host) => {
+      const revision = await this.setCurrentRevision(
+        host.conn,
+        this.releaseDir,
+        1,
+        host.connectionMessage
+      );
+
+      // All hosts have to serve the same revision of the release
+      if (this.revision && revision !== this.revision) {
+        throw new DeploymentError(
+          `${host.connectionConfig.host} checked out ${revision}, expected ${this.revision}`,
+          "deploy:set_current_revision",
+          1
+        );
+      }
+      this.revision = revision;
+    });
+    actionLogger.info(this.revision);
+
+    // deploy:set_current_revision_time
+    await this._runTask("deploy:set_current_revision_time", (host) =>
+      this.setCurrentRevisionTime(
+        host.conn,
+        this.revisionTime,
+        this.releaseDir,
+        1,
+        host.connectionMessage
+      )
+    );
+
+    // deploy:write_release_metadata
+    await this._runTask("deploy:write_release_metadata", async (host) => {
+      if (!this.releaseMetadata) {
+        this.releaseMetadata = {
+          releaseId: this.revisionTime,
+          branch: this.repoDetails.branch,
+          commit: this.revision,
+          subject: await this.getCommitSubject(
+            host.conn,
+            this.revision,
+            1,
+            host.connectionMessage
+          ),
+          user: os.userInfo().username,
+          hostname: os.hostname(),
+          nodeVersion: null, // Reported by every host, see hostNodeVersion()
+          strategy: this.strategy,
+          deployedAt: new Date(this.startedAt).toISOString(),
+          duration: null,
+          outcome: "pending",
+        };
+      }
+      await this.writeReleaseMetadata(
+        host.conn,
+        this.releaseDir,
+        {
+          ...this.releaseMetadata,
+          nodeVersion: await this.hostNodeVersion(host),
+        },
+        2,
+        host.connectionMessage
+      );
+    });
+
+    // deploy:symlink:linked_files
+    await this._runTask("deploy:symlink:linked_files", (host) =>
+      this.symlinkLinkedFiles(
+        host.conn,
+        this.projectFolder,
+        this.releaseDir,
+        this.linkedFiles,
+        host.connectionMessage
+      )
+    );
+
+    // deploy:symlink:linked_dirs
+    await this._runTask("deploy:symlink:linked_dirs", (host) =>
+      this.symlinkLinkedDirs(
+        host.conn,
+        this.projectFolder,
+        this.releaseDir,
+        this.linkedDirs,
+        host.connectionMessage
+      )
+    );
+
+    // npm:config
+    await this._runTask("npm:config", async (host) =>
+      this.npmConfig(
+        host.conn,
+        await this.nodeEnvironment(host),
+        1,
+        host.connectionMessage
+      )
+    );
+
+    // npm:install
+    await this._runTask("npm:install", async (host) => {
+      host.dependencies = await this.npmInstall(
+        host.conn,
+        await this.nodeEnvironment(host),
+        this.releaseDir,
+        host.previousRelease &&
+          `${this.projectFolder}/releases/${host.previousRelease}`,
+        1,
+        host.connectionMessage
+      );
+    });
+
+    // npm:assets:precompile
+    await this._runTask("npm:assets:precompile", (host) =>
+      this.assetsPrecompile(
+        host.conn,
+        this.releaseDir,
+        1,
+        host.connectionMessage
+      )
+    );
+
+    // npm:backup_package_json
+    await this._runTask("npm:backup_package_json", (host) =>
+      this.backupPackageJson(
+        host.conn,
+        this.releaseDir,
+        host.dependencies,
+        1,
+        host.connectionMessage
+      )
+    );
+
+    // deploy:migrate
+    await this._runTask("deploy:migrate", (host) =>
+      this.migrate(host.conn, 1, host.connectionMessage)
+    );
+
+    // deploy:migrating
+    await this._runTask("deploy:migrating", (host) =>
+      this.migrating(host.conn, 1, host.connectionMessage)
+    );
+
+    // deploy:symlink:release
+    await this._runTask("deploy:symlink:release", (host) => {
+      host.symlinked = true; // Link the previous release if the deployment fails
+      return this.symlinkRelease(
+        host.conn,
+        this.releaseDir,
+        currentSymlink,
+        1,
+        host.connectionMessage
+      );
+    });
+
+    // systemctl:restart
+    await this._runTask("systemctl:restart", (host) =>
+      this.restartApplication(
+        host.conn,
+        this.application,
+        1,
+        host.connectionMessage
+      )
+    );
+
+    // deploy:health_check
+    if (this.healthCheck) {
+      await this._runTask("deploy:health_check", (host) =>
+        this.checkHealth(
+          host.conn,
+          this.healthCheck,
+          host,
+          this.application,
+          1,
+          host.connectionMessage
+        )
+      );
+    }
+
+    // deploy:finish_release_metadata
+    this.releaseMetadata = {
+      ...this.releaseMetadata,
+      duration: Math.round((Date.now() - this.startedAt) / 1000),
+      outcome: "success",
+    };
+    await this._runTask("deploy:finish_release_metadata", async (host) =>
+      this.writeReleaseMetadata(
+        host.conn,
+        this.releaseDir,
+        {
+          ...this.releaseMetadata,
+          nodeVersion: await this.hostNodeVersion(host),
+        },
+        1,
+        host.connectionMessage
+      )
+    );
+
+    // deploy:cleanup
+    await this._runTask("deploy:cleanup", (host) =>
+      this.cleanupOldReleases(
+        host.conn,
+        this.projectFolder,
+        this.releases,
+        1,
+        host.connectionMessage,
+        this.revisionTime
+      )
+    );
+
+    // deploy:log_revision
+    actionLogger.info(this.revision);
+    await this._runTask("deploy:log_revision", (host) =>
+      this.logRevision(
+        host.conn,
+        this.repoDetails.branch,
+        this.revision,
+        this.revisionTime,
+        host.previousRelease,
+        this.projectFolder,
+        1,
+        host.connectionMessage
+      )
+    );
+
+    // deploy:after:symlink_public_resources
+    await this._runTask("deploy:after:symlink_public_resources", (host) =>
+      this.symlinkPublicResources(
+        host.conn,
+        this.projectFolder,
+        this.releaseDir,
+        host.connectionMessage
+      )
+    );
+  }
+
+  // Abstract method transferring the code into the release directory (must be implemented in child classes)
+  updateCode() {
+    throw new Error("updateCode method not implemented");
+  }
+
+  /**
+   * Failure path of a deployment, run only when deploy() throws.
+   *
+   * Steps:
+   * 1. Points current back to the previous release on hosts already switched to the new release
+   * 2. Removes the failed release directory
+   * 3. Records the failure in revisions.log
+   * 4. Restarts the application on the hosts switched back
+   *
+   * Hosts whose connection was lost are reconnected first. Errors during the cleanup
+   * are logged and do not stop the remaining steps.
+   *
+   * @param {Error} error - The error the deployment failed with.
+   * @returns {Promise<void>} Resolves when the cleanup completes.
+   */
+  async failedDeploy(error) {
+    const currentSymlink = `${this.projectFolder}/current`;
+    const failedTask = error.task || this.currentTask || "unknown";
+
+    sectionLogger("deploy:failed", chalk.red);
+    actionLogger.error(
+      `Deployment of release ${this.revisionTime} failed at ${failedTask}, cleaning up`
+    );
+
+    const revertedHosts = [];
+    for (const host of this.hosts) {
+      try {
+        await this._ensureConnected(host);
+
+        if (host.symlinked) {
+          if (host.previousRelease) {
+            await this.symlinkRelease(
+              host.conn,
+              `${this.projectFolder}/releases/${host.previousRelease}`,
+              currentSymlink,
+              1,
+              host.connectionMessage
+            );
+          } else {
+            await AbstractDeployer._runDeploymentStep(
+              host.conn,
+              `rm -f ${currentSymlink}`,
+              "deploy:failed:unlink_release",
+              1,
+              host.connectionMessage
+            );
+          }
+          host.symlinked = false;
+          revertedHosts.push(host);
+        }
+
+        if (host.releaseCreated) {
+          await this.removeReleaseDir(
+            host.conn,
+            this.releaseDir,
+            1,
+            host.connectionMessage
+          );
+          host.releaseCreated = false;
+          host.releaseRemoved = true;
+        }
+
+        await this.logFailedDeploy(
+          host.conn,
+          this.repoDetails?.branch,
+          host.previousRelease,
+          this.revisionTime,
+          failedTask,
+          error.message,
+          this.projectFolder,
+          1,
+          host.connectionMessage
+        );
+      } catch (cleanupError) {
+        actionLogger.error(
+          `Cleanup failed on ${host.connectionMessage}: ${cleanupError.message}`
+        );
+      }
+    }
+
+    // Restart the previous release where the new one was already linked
+    const restartHosts = this.hostsFor("systemctl:restart").filter((host) =>
+      revertedHosts.includes(host)
+    );
+    for (const host of restartHosts) {
+      try {
+        await this.restartApplication(
+          host.conn,
+          this.application,
+          1,
+          host.connectionMessage
+        );
+      } catch (restartError) {
+        actionLogger.error(
+          `Restart failed on ${host.connectionMessage}: ${restartError.message}`
+        );
+      }
+    }
+
+    // The server state of an interrupted task reflects the cleanup
+    if (error.serverState && this.interruptedHost) {
+      error.serverState = this.serverState(this.interruptedHost, failedTask);
+    }
+  }
+
+  /**
+   * Takes the deploy lock on all hosts. Hosts locked before a failure are
+   * remembered, so unlock() releases them again.
+   *
+   * @param {string} action - The action holding the lock (deploy, rollback, switch).
+   * @param {string} [release] - The release the action is working on.
+   * @returns {Promise<void>} Resolves when the lock is held on all hosts.
+   * @throws {LockError} Throws if another deployment holds the lock.
+   */
+  async lock(action, release) {
+    this.lockedHosts = [];
+    const lock = {
+      id: randomUUID(),
+      user: os.userInfo().username,
+      hostname: os.hostname(),
+      since: new Date().toISOString(),
+      action,
+      stage: this.stage,
+      branch: this.repoDetails?.branch,
+      release,
+    };
+
+    // Set before the first host is locked, unlock() needs it if a later host fails
+    this.lockId = lock.id;
+    await this._runTask("deploy:lock", async (host) => {
+      await this.acquireLock(
+        host.conn,
+        this.projectFolder,
+        lock,
+        1,
+        host.connectionMessage
+      );
+      this.lockedHosts.push(host);
+    });
+  }
+
+  /**
+   * Releases the deploy lock on all hosts it was taken on.
+   *
+   * @returns {Promise<void>} Resolves when the lock is released.
+   */
+  async unlock() {
+    for (const host of this.lockedHosts || []) {
+      try {
+        await this._ensureConnected(host);
+        await this.releaseLock(
+          host.conn,
+          this.projectFolder,
+          this.lockId,
+          1,
+          host.connectionMessage
+        );
+      } catch (error) {
+        actionLogger.error(
+          `Error releasing the deploy lock on ${host.connectionMessage}: ${error.message}`
+        );
+      }
+    }
+    this.lockedHosts = [];
+  }
+
+  /**
+   * Verifies that every host is ready for a deployment, without changing anything.
+   * The checks are listed by preflightChecks(), a failing check does not stop the others.
+   *
+   * @returns {Promise<Object[]>} Resolves with one result per host and check ({ host, item, ok, detail }).
+   */
+  async check() {
+    const report = [];
+
+    await this._runTask("deploy:check:server", async (host) => {
+      await this.nodeEnvironment(host);
+      for (const [index, preflightCheck] of this.preflightChecks(
+        host
+      ).entries()) {
+        const result = await this.checkServer(
+          host.conn,
+          preflightCheck,
+          index + 1,
+          host.connectionMessage
+        );
+        report.push({ host: host.connectionConfig.host, ...result });
+      }
+    });
+
+    return report;
+  }
+
+  /**
+   * Rolls the deployment back to the release before the current release.
+   * The current release is read from the current symlink on the primary host.
+   *
+   * @returns {Promise<Object>} Resolves with the release change ({ action, from, to, revision, changed }).
+   * @throws {DeploymentError} Throws custom DeploymentError.
+   */
+  async rollback() {
+    const host = this.primaryHost();
+
+    // deploy:rollback
+    sectionLogger("deploy:rollback", chalk.blue);
+    const releases = await this.listReleases(
+      host.conn,
+      this.projectFolder,
+      1,
+      host.connectionMessage
+    );
+    const currentRelease = await this.getCurrentRelease(
+      host.conn,
+      this.projectFolder,
+      2,
+      host.connectionMessage
+    );
+
+    const currentIndex = releases.indexOf(currentRelease);
+    if (currentIndex === -1) {
+      throw new DeploymentError(
+        `Current release ${currentRelease} not found in ${this.projectFolder}/releases`,
+        "deploy:rollback",
+        2
+      );
+    }
+    if (currentIndex === 0) {
+      actionLogger.info(
+        "Current release is the oldest release available. Nothing to rollback to."
+      );
+      return {
+        action: "rollback",
+        from: currentRelease,
+        to: currentRelease,
+        revision: null,
+        changed: false,
+      };
+    }
+
+    const previousRelease = releases[currentIndex - 1];
+    actionLogger.info(
+      `current release: ${currentRelease}, previous release: ${previousRelease}`
+    );
+
+    return this._activateRelease(currentRelease, previousRelease, "rollback");
+  }
+
+  /**
+   * Switches the deployment to a specific release.
+   *
+   * @param {string} release - The id of the release to switch to.
+   * @returns {Promise<Object>} Resolves with the release change ({ action, from, to, revision, changed }).
+   * @throws {DeploymentError} Throws custom DeploymentError.
+   */
+  async switchRelease(release) {
+    const host = this.primaryHost();
+
+    // deploy:switch_release
+    sectionLogger("deploy:switch_release", chalk.blue);
+    const currentRelease = await this.getCurrentRelease(
+      host.conn,
+      this.projectFolder,
+      1,
+      host.connectionMessage
+    );
+
+    if (currentRelease === release) {
+      actionLogger.info(`Release ${release} is already the current release.`);
+      return {
+        action: "switch",
+        from: release,
+        to: release,
+        revision: null,
+        changed: false,
+      };
+    }
+    actionLogger.info(
+      `current release: ${currentRelease}, target release: ${release}`
+    );
+
+    return this._activateRelease(currentRelease, release, "switch");
   }
 
-  // Abstract method for deployment (must be implemented in child classes)
-  deploy() {
-    throw new Error("Deploy method not implemented");
+  /**
+   * Points the current symlink of all hosts to an existing release and restarts the application.
+   *
+   * @param {string|null} currentRelease - The id of the release currently linked.
+   * @param {string} release - The id of the release to activate.
+   * @param {string} action - Either "rollback" or "switch", used for the revisions log.
+   * @returns {Promise<Object>} Resolves with the release change ({ action, from, to, revision, changed }).
+   */
+  async _activateRelease(currentRelease, release, action) {
+    const currentSymlink = `${this.projectFolder}/current`;
+    this.revisionTime = release;
+    this.releaseDir = `${this.projectFolder}/releases/${release}`;
+
+    // deploy:check:release
+    await this._runTask("deploy:check:release", async (host) => {
+      this.revision = await this.checkRelease(
+        host.conn,
+        this.releaseDir,
+        1,
+        host.connectionMessage
+      );
+    });
+
+    // deploy:symlink:release
+    await this._runTask("deploy:symlink:release", (host) =>
+      this.symlinkRelease(
+        host.conn,
+        this.releaseDir,
+        currentSymlink,
+        1,
+        host.connectionMessage
+      )
+    );
+
+    // systemctl:restart
+    await this._runTask("systemctl:restart", (host) =>
+      this.restartApplication(
+        host.conn,
+        this.application,
+        1,
+        host.connectionMessage
+      )
+    );
+
+    // deploy:log_revision
+    await this._runTask("deploy:log_revision", (host) =>
+      this.logReleaseChange(
+        host.conn,
+        action,
+        currentRelease,
+        release,
+        this.revision,
+        this.projectFolder,
+        1,
+        host.connectionMessage
+      )
+    );
+
+    return {
+      action,
+      from: currentRelease,
+      to: release,
+      revision: this.revision,
+      changed: true,
+    };
   }
 
-  // Abstract method for rollback (must be implemented in child classes)
-  rollback() {
-    throw new Error("Rollback method not implemented");
+  /**
+   * Creates the lock file in the project folder, failing if it already exists.
+   *
+   * @param {Client} conn - An established SSH connection.
+   * @param {string} projectFolder - The base project folder path on the VPS.
+   * @param {Object} lock - The lock details (id, user, hostname, since, action, release).
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @throws {LockError} Throws custom LockError if the lock is held by someone else.
+   * @throws {DeploymentError} Throws custom DeploymentError.
+   */
+  async acquireLock(conn, projectFolder, lock, stepNumber, connectionMessage) {
+    const task = "deploy:lock";
+    const lockFile = `${projectFolder}/${lockFileName}`;
+    // noclobber makes the redirect fail if the lock file exists
+    const command = `mkdir -p ${projectFolder} && if (set -C; echo ${shellQuote(
+      JSON.stringify(lock)
+    )} > ${lockFile}) 2>/dev/null; then echo acquired; else cat ${lockFile}; fi`;
+
+    sectionLogger(task, chalk.blue);
+    actionLogger.info(
+      `${String(stepNumber).padStart(2, "0")} lock ${lockFile}`,
+      chalk.yellow
+    );
+
+    let response;
+    try {
+      response = await asyncWrapper(conn, command, {
+        dryRunResponse: "acquired",
+      });
+    } catch (error) {
+      throw new DeploymentError(error.message, task, stepNumber);
+    }
+
+    if (response !== "acquired") {
+      const holder = AbstractDeployer._parseLock(response);
+      throw new LockError(
+        `${projectFolder} is locked by ${holder.user}@${holder.hostname} since ${holder.since} (${holder.action} ${holder.release})`,
+        holder,
+        connectionMessage
+      );
+    }
+
+    actionLogger.success(
+      `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+      chalk.green
+    );
   }
 
   /**
@@ -47,48 +899,774 @@ export class AbstractDeployer {
     } catch (error) {
       throw new DeploymentError(
         error.message,
-        "npm:assets:precompile",
+        "npm:assets:precompile",
+        stepNumber
+      );
+    }
+  }
+
+  /**
+   * Records the hash of the installed dependencies in the release. The next deployment
+   * reuses the node_modules of the release while the hash stays the same, see npmInstall().
+   *
+   * @param {Client} conn - An established SSH connection.
+   * @param {string} releaseDir - The path to the release directory.
+   * @param {Object} [dependencies] - The result of npmInstall() ({ name, lockfile, hash }).
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @throws {DeploymentError} Throws custom DeploymentError.
+   */
+  async backupPackageJson(
+    conn,
+    releaseDir,
+    dependencies,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "npm:backup_package_json";
+
+    if (!dependencies?.hash) {
+      sectionLogger(task, chalk.blue);
+      actionLogger.info(
+        `No lockfile in the release, skipping the dependency hash`,
+        chalk.white
+      );
+      return;
+    }
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      `echo ${dependencies.hash} > ${releaseDir}/${dependencyStampFile}`,
+      task,
+      stepNumber,
+      connectionMessage
+    );
+  }
+
+  /**
+   * Ensures that the main directories needed for deployment exist on the server (releases, shared).
+   *
+   * @param {Client} conn - An established SSH connection.
+   * @param {string} projectFolder - The base project folder path on the VPS.
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   */
+  async checkDirectories(conn, projectFolder, stepNumber, connectionMessage) {
+    const task = "deploy:check:directories";
+    const command = `mkdir -p ${projectFolder}/shared ${projectFolder}/releases`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      command,
+      task,
+      stepNumber,
+      connectionMessage
+    );
+  }
+
+  /**
+   * Verifies that no linked dir is taken by a file in the shared directory, the missing
+   * ones are created by makeLinkedDirs().
+   *
+   * @param {Client} conn - An established SSH connection.
+   * @param {string} projectFolder - The base project folder path on the VPS.
+   * @param {string[]} linkedDirs - Directories shared between releases, relative to the release directory
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @throws {DeploymentError} Throws custom DeploymentError if a linked dir is no directory.
+   */
+  async checkLinkedDirs(
+    conn,
+    projectFolder,
+    linkedDirs,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "deploy:check:linked_dirs";
+
+    if (linkedDirs.length === 0) {
+      sectionLogger(task, chalk.blue);
+      actionLogger.info(`No linked dirs configured, skipping`);
+      return;
+    }
+
+    const sharedDirs = linkedDirs
+      .map((dir) => shellQuote(`${projectFolder}/shared/${dir}`))
+      .join(" ");
+    const command = `for dir in ${sharedDirs}; do [ ! -e "$dir" ] || [ -d "$dir" ] || { echo "$dir is no directory" >&2; exit 1; }; done`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      command,
+      task,
+      stepNumber,
+      connectionMessage
+    );
+  }
+
+  /**
+   * Verifies that all linked files exist in the shared directory.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} projectFolder - The path to the project directory
+   * @param {string[]} linkedFiles - Files shared between releases, relative to the release directory
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @throws {DeploymentError} Throws custom DeploymentError if a linked file is missing.
+   */
+  async checkLinkedFiles(
+    conn,
+    projectFolder,
+    linkedFiles,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "deploy:check:linked_files";
+
+    sectionLogger(task, chalk.blue);
+    if (linkedFiles.length === 0) {
+      actionLogger.info(`No linked files configured, skipping`);
+      return;
+    }
+
+    const sharedFiles = linkedFiles.map(
+      (file) => `${projectFolder}/shared/${file}`
+    );
+    // Print every missing file, the check itself always succeeds
+    const command = `for file in ${sharedFiles.join(
+      " "
+    )}; do [ -f "$file" ] || echo "$file"; done`;
+
+    actionLogger.info(
+      `${String(stepNumber).padStart(2, "0")} ${command}`,
+      chalk.yellow
+    );
+
+    let missingFiles;
+    try {
+      missingFiles = (await asyncWrapper(conn, command, { readOnly: true }))
+        .split("\n")
+        .filter((line) => line.trim() !== "");
+    } catch (error) {
+      throw new DeploymentError(error.message, task, stepNumber);
+    }
+
+    if (missingFiles.length > 0) {
+      throw new DeploymentError(
+        `Linked files missing on ${connectionMessage}: ${missingFiles.join(
+          ", "
+        )}. Upload them to the shared directory before deploying.`,
+        task,
+        stepNumber
+      );
+    }
+
+    actionLogger.success(
+      `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+      chalk.green
+    );
+  }
+
+  /**
+   * Verifies that a release exists and reads its revision.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} releaseDir - The release directory
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @returns {Promise<string>} The revision of the release, empty if unknown.
+   * @throws {DeploymentError} Throws custom DeploymentError if the release does not exist.
+   */
+  async checkRelease(conn, releaseDir, stepNumber, connectionMessage) {
+    const task = "deploy:check:release";
+    const command = `test -d ${releaseDir} && (cat ${releaseDir}/REVISION 2>/dev/null || true)`;
+
+    sectionLogger(task, chalk.blue);
+    actionLogger.info(
+      `${String(stepNumber).padStart(2, "0")} ${command}`,
+      chalk.yellow
+    );
+
+    let revision;
+    try {
+      revision = await asyncWrapper(conn, command, { readOnly: true });
+    } catch (error) {
+      throw new DeploymentError(
+        `Release ${releaseDir} does not exist on ${connectionMessage}`,
+        task,
+        stepNumber
+      );
+    }
+
+    actionLogger.success(
+      `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+      chalk.green
+    );
+    return revision;
+  }
+
+  /**
+   * Runs a single preflight check of `einsatz check` and prints its outcome.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {Object} preflightCheck - The check ({ item, command, evaluate }), see preflightChecks().
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @returns {Promise<Object>} The result ({ item, ok, detail }), failing commands fail the check.
+   */
+  async checkServer(conn, preflightCheck, stepNumber, connectionMessage) {
+    const { item, command, evaluate } = preflightCheck;
+
+    actionLogger.info(
+      `${String(stepNumber).padStart(2, "0")} ${command}`,
+      chalk.yellow
+    );
+
+    let result;
+    try {
+      const output = await asyncWrapper(conn, command, {
+        readOnly: true,
+        quiet: true,
+      });
+      result = evaluate(output);
+    } catch (error) {
+      result = {
+        ok: false,
+        detail: error.message
+          .replace(/^Command failed with code \d+: /, "")
+          .replace(/\s*\n\s*/g, " "),
+      };
+    }
+
+    const message = `${String(stepNumber).padStart(
+      2,
+      "0"
+    )} ${item} on ${connectionMessage}: ${result.detail}`;
+    result.ok ? actionLogger.success(message) : actionLogger.error(message);
+
+    return { item, ...result };
+  }
+
+  /**
+   * Checks that the application is healthy after the restart.
+   *
+   * Supported checks:
+   * - type "http": polls the url from the server until it answers with the expected status (and body).
+   *   Only runs on web hosts.
+   * - type "systemd": checks that `systemctl is-active <application>.service` holds for `duration` seconds.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {Object} healthCheck - The health check configuration.
+   * @param {string} healthCheck.type - Either "http" or "systemd".
+   * @param {string} [healthCheck.url] - The url to poll, e.g. http://localhost:3000/health.
+   * @param {number} [healthCheck.expectedStatus=200] - The expected http status.
+   * @param {string} [healthCheck.expectedBody] - A string the response body has to contain.
+   * @param {number} [healthCheck.retries=10] - Number of http attempts before the check fails.
+   * @param {number} [healthCheck.interval=3] - Seconds between two attempts.
+   * @param {number} [healthCheck.timeout=5] - Seconds after which a single http request fails.
+   * @param {number} [healthCheck.duration=10] - Seconds the systemd service has to stay active.
+   * @param {Object} host - The host to check.
+   * @param {string} application - A string containing the applicationname.
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @throws {DeploymentError} Throws custom DeploymentError if the application is not healthy.
+   */
+  async checkHealth(
+    conn,
+    healthCheck,
+    host,
+    application,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "deploy:health_check";
+    const {
+      type = healthCheck.url ? "http" : "systemd",
+      url,
+      expectedStatus = 200,
+      expectedBody,
+      retries = 10,
+      interval = 3,
+      timeout = 5,
+      duration = 10,
+    } = healthCheck;
+
+    sectionLogger(task, chalk.blue);
+
+    if (type === "http" && !host.roles.includes("web")) {
+      actionLogger.info(`No web role, skipping http health check`);
+      return;
+    }
+
+    const step = String(stepNumber).padStart(2, "0");
+    const command =
+      type === "http"
+        ? `curl -s -m ${timeout} -w '\\n%{http_code}' ${shellQuote(
+            url
+          )} || true`
+        : `systemctl is-active ${application}.service || true`;
+    // The service is checked once more when the duration has passed
+    const attempts = conn.dryRun
+      ? 1
+      : type === "http"
+      ? retries
+      : Math.ceil(duration / interval) + 1;
+
+    actionLogger.info(`${step} ${command}`, chalk.yellow);
+
+    let failure;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      let response;
+      try {
+        response = await asyncWrapper(conn, command, {
+          dryRunResponse:
+            type === "http"
+              ? `${expectedBody || ""}\n${expectedStatus}`
+              : "active",
+        });
+      } catch (error) {
+        throw new DeploymentError(error.message, task, stepNumber);
+      }
+
+      if (type === "http") {
+        const lines = response.split("\n");
+        const status = Number(lines.pop());
+        const body = lines.join("\n");
+
+        if (status !== expectedStatus) {
+          failure = `${url} answered with status ${
+            status || "none"
+          }, expected ${expectedStatus}`;
+        } else if (expectedBody && !body.includes(expectedBody)) {
+          failure = `${url} answered without '${expectedBody}' in the body`;
+        } else {
+          actionLogger.success(`${step} ${connectionMessage}`, chalk.green);
+          return;
+        }
+      } else if (response !== "active") {
+        // The service has to stay active during the whole duration
+        throw new DeploymentError(
+          `${application}.service is ${response} on ${connectionMessage}`,
+          task,
+          stepNumber
+        );
+      }
+
+      if (attempt < attempts) {
+        if (failure) {
+          actionLogger.info(
+            `attempt ${attempt}/${attempts}: ${failure}, retrying in ${interval}s`
+          );
+        }
+        await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+      }
+    }
+
+    if (failure) {
+      throw new DeploymentError(
+        `Health check failed on ${connectionMessage}: ${failure}`,
+        task,
+        stepNumber
+      );
+    }
+
+    actionLogger.success(`${step} ${connectionMessage}`, chalk.green);
+  }
+
+  /**
+   * Cleans up old releases on the VPS, keeping only the specified number of most recent releases.
+   *
+   * @param {Client} conn - An established SSH connection.
+   * @param {string} projectFolder - The base project folder path on the VPS.
+   * @param {number} keepCount - The number of most recent releases to keep.
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @param {string} [releaseId] - The release being deployed, counted even if it does not exist yet (dry run).
+   */
+  async cleanupOldReleases(
+    conn,
+    projectFolder,
+    keepCount,
+    stepNumber,
+    connectionMessage,
+    releaseId
+  ) {
+    const releasesPath = `${projectFolder}/releases`;
+
+    const task = "deploy:cleanup";
+
+    sectionLogger(task, chalk.blue);
+    const releases = await this.listReleases(
+      conn,
+      projectFolder,
+      stepNumber,
+      connectionMessage
+    );
+    if (releaseId && !releases.includes(releaseId)) {
+      releases.push(releaseId);
+      releases.sort();
+    }
+
+    // Release ids are timestamps, the oldest releases come first
+    const expiredReleases = releases.slice(0, -keepCount);
+    this.oldestKeptRelease = releases.slice(-keepCount)[0];
+    if (expiredReleases.length === 0) {
+      actionLogger.info(
+        `Keeping ${releases.length} releases, nothing to clean up`
+      );
+      return;
+    }
+
+    const cleanUpCommand = `rm -rf ${expiredReleases
+      .map((release) => `${releasesPath}/${release}`)
+      .join(" ")}`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      cleanUpCommand,
+      task,
+      stepNumber + 1,
+      connectionMessage
+    );
+
+    await this.appendRevisionLog(
+      conn,
+      projectFolder,
+      this._revisionEntry("cleanup", { releases: expiredReleases }),
+      task,
+      stepNumber + 2,
+      connectionMessage
+    );
+
+    await this.pruneTranscripts(
+      conn,
+      projectFolder,
+      this.oldestKeptRelease,
+      stepNumber + 3,
+      connectionMessage
+    );
+  }
+
+  /**
+   * Removes the deploy transcripts older than the oldest kept release.
+   *
+   * @param {Client} conn - An established SSH connection.
+   * @param {string} projectFolder - The base project folder path on the VPS.
+   * @param {string} oldestRelease - The id of the oldest kept release.
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   */
+  async pruneTranscripts(
+    conn,
+    projectFolder,
+    oldestRelease,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "deploy:cleanup:transcripts";
+    const transcriptPath = `${projectFolder}/${transcriptDir}`;
+    const command = `ls -1 ${transcriptPath} 2>/dev/null || true`;
+
+    actionLogger.info(
+      `${String(stepNumber).padStart(2, "0")} ${command}`,
+      chalk.yellow
+    );
+    const response = await asyncWrapper(conn, command, {
+      readOnly: true,
+      quiet: true,
+    });
+
+    // Transcripts are named <stage>-<timestamp>.log
+    const expiredTranscripts = response.split("\n").filter((file) => {
+      const match = file.trim().match(/-(\d{14})\.log$/);
+      return match && match[1] < oldestRelease;
+    });
+    if (expiredTranscripts.length === 0) {
+      actionLogger.success(
+        `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+        chalk.green
+      );
+      return;
+    }
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      `rm -f ${expiredTranscripts
+        .map((file) => `${transcriptPath}/${file.trim()}`)
+        .join(" ")}`,
+      task,
+      stepNumber + 1,
+      connectionMessage
+    );
+  }
+
+  /**
+   * Uploads the transcript of a run to the transcript directory of the project folder.
+   *
+   * @param {Client} conn - An established SSH connection.
+   * @param {string} projectFolder - The base project folder path on the VPS.
+   * @param {string} fileName - The name of the transcript (<stage>-<timestamp>.log).
+   * @param {string} content - The transcript.
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @throws {DeploymentError} Throws custom DeploymentError if the upload fails.
+   */
+  async uploadTranscript(
+    conn,
+    projectFolder,
+    fileName,
+    content,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "deploy:transcript";
+    const transcriptPath = `${projectFolder}/${transcriptDir}`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      `mkdir -p ${transcriptPath}`,
+      task,
+      stepNumber,
+      connectionMessage
+    );
+
+    actionLogger.info(
+      `${String(stepNumber + 1).padStart(
+        2,
+        "0"
+      )} sftp ${transcriptPath}/${fileName}`,
+      chalk.yellow
+    );
+    if (conn.dryRun) {
+      actionLogger.info("skipped (dry run)", chalk.gray);
+      return;
+    }
+
+    try {
+      await new Promise((resolve, reject) => {
+        conn.sftp((err, sftp) => {
+          if (err) return reject(err);
+          sftp.writeFile(`${transcriptPath}/${fileName}`, content, (err) => {
+            sftp.end();
+            err ? reject(err) : resolve();
+          });
+        });
+      });
+      actionLogger.success(
+        `${String(stepNumber + 1).padStart(2, "0")} ${connectionMessage}`,
+        chalk.green
+      );
+    } catch (error) {
+      throw new DeploymentError(error.message, task, stepNumber + 1);
+    }
+  }
+
+  /**
+   * Creates the release directory.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} releaseDir - The path to the release directory to be created
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   */
+  async createReleaseDir(conn, releaseDir, stepNumber, connectionMessage) {
+    const task = "deploy:create_release_dir";
+
+    const command = `mkdir -p ${releaseDir}`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      command,
+      task,
+      stepNumber,
+      connectionMessage
+    );
+  }
+
+  /**
+   * Reads the release the current symlink points to.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} projectFolder - The path to the project directory
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @returns {Promise<string|null>} The id of the current release, null if there is none.
+   * @throws {DeploymentError} Throws custom DeploymentError.
+   */
+  async getCurrentRelease(conn, projectFolder, stepNumber, connectionMessage) {
+    const command = `readlink ${projectFolder}/current || true`;
+
+    try {
+      actionLogger.info(
+        `${String(stepNumber).padStart(2, "0")} ${command}`,
+        chalk.yellow
+      );
+      const target = await asyncWrapper(conn, command, { readOnly: true });
+      actionLogger.success(
+        `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+        chalk.green
+      );
+
+      return target ? path.posix.basename(target) : null;
+    } catch (error) {
+      throw new DeploymentError(
+        error.message,
+        "deploy:current_release",
+        stepNumber
+      );
+    }
+  }
+
+  /**
+   * Lists the ids of all releases on the server, oldest first.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} projectFolder - The path to the project directory
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @returns {Promise<string[]>} The release ids.
+   * @throws {DeploymentError} Throws custom DeploymentError.
+   */
+  async listReleases(conn, projectFolder, stepNumber, connectionMessage) {
+    const command = `ls -1 ${projectFolder}/releases`;
+
+    try {
+      actionLogger.info(
+        `${String(stepNumber).padStart(2, "0")} ${command}`,
+        chalk.yellow
+      );
+      const response = await asyncWrapper(conn, command, { readOnly: true });
+      actionLogger.success(
+        `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+        chalk.green
+      );
+
+      // Release ids are timestamps, sorting them as strings keeps their order
+      return response
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => /^\d{14}$/.test(line))
+        .sort();
+    } catch (error) {
+      throw new DeploymentError(
+        error.message,
+        "deploy:list_releases",
         stepNumber
       );
     }
   }
 
   /**
-   * Optional step that backs up the package.json file.
+   * Lists all releases on the server with the details of their release.json, oldest first.
+   * Releases deployed before release.json existed only contain their id and commit.
    *
-   * @param {Client} conn - An established SSH connection.
-   * @param {string} projectFolder - The base project folder path on the VPS.
+   * @param {Client} conn - An established SSH connection
+   * @param {string} projectFolder - The path to the project directory
    * @param {number} stepNumber - The number of the section deployment step.
    * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @returns {Promise<Object[]>} The release details ({ releaseId, commit, branch, ... }).
    * @throws {DeploymentError} Throws custom DeploymentError.
    */
-  async backupPackageJson(conn, projectFolder, stepNumber, connectionMessage) {
-    sectionLogger("npm:backup_package_json", chalk.blue);
+  async listReleaseDetails(conn, projectFolder, stepNumber, connectionMessage) {
+    // One line per release: id, REVISION and release.json joined into a single line
+    const command = `cd ${projectFolder}/releases 2>/dev/null && for dir in */; do id=$(basename "$dir"); printf '%s\\t%s\\t%s\\n' "$id" "$(cat "$id/REVISION" 2>/dev/null)" "$(tr -d '\\n' 2>/dev/null < "$id/release.json")"; done || true`;
+
     try {
       actionLogger.info(
-        `Backing up package.json not required, skipping backing up`,
-        chalk.white
+        `${String(stepNumber).padStart(2, "0")} ${command}`,
+        chalk.yellow
+      );
+      const response = await asyncWrapper(conn, command, {
+        readOnly: true,
+        quiet: true,
+      });
+      actionLogger.success(
+        `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+        chalk.green
       );
+
+      return response
+        .split("\n")
+        .map((line) => line.split("\t"))
+        .filter(([releaseId]) => /^\d{14}$/.test(releaseId))
+        .map(([releaseId, commit, metadata]) => {
+          try {
+            return { releaseId, commit, ...JSON.parse(metadata) };
+          } catch (error) {
+            return { releaseId, commit: commit || null };
+          }
+        })
+        .sort((a, b) => a.releaseId.localeCompare(b.releaseId));
     } catch (error) {
       throw new DeploymentError(
         error.message,
-        "npm:backup_package_json",
+        "deploy:list_releases",
         stepNumber
       );
     }
   }
 
   /**
-   * Ensures that the main directories needed for deployment exist on the server (releases, shared).
+   * Reads the subject of the deployed commit.
    *
-   * @param {Client} conn - An established SSH connection.
-   * @param {string} projectFolder - The base project folder path on the VPS.
+   * @param {Client} conn - An established SSH connection
+   * @param {string} revision - The deployed commit
    * @param {number} stepNumber - The number of the section deployment step.
    * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @returns {Promise<string>} The commit subject, empty if it cannot be read.
    */
-  async checkDirectories(conn, projectFolder, stepNumber, connectionMessage) {
-    const task = "deploy:check:directories";
-    const command = `mkdir -p ${projectFolder}/shared ${projectFolder}/releases`;
+  async getCommitSubject(conn, revision, stepNumber, connectionMessage) {
+    // Deployers uploading local files read the subject from the local repository
+    if (this.localRevision) {
+      const { stdout } = await execa(
+        "git",
+        ["log", "-1", "--format=%s", revision],
+        { cwd: process.cwd(), reject: false }
+      );
+      return stdout.trim();
+    }
+
+    const command = `git -C ${this.releaseDir} log -1 --format=%s ${shellQuote(
+      revision
+    )} 2>/dev/null || true`;
+
+    sectionLogger("git:commit_subject", chalk.blue);
+    actionLogger.info(
+      `${String(stepNumber).padStart(2, "0")} ${command}`,
+      chalk.yellow
+    );
+    // Dry runs know no revision and create no release to read it from
+    const subject = await asyncWrapper(conn, command, {
+      dryRunResponse: "<subject>",
+    });
+    actionLogger.success(
+      `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+      chalk.green
+    );
+
+    return subject;
+  }
+
+  /**
+   * Writes the release details to release.json in the release directory.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} releaseDir - The release directory
+   * @param {Object} metadata - The release details.
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   */
+  async writeReleaseMetadata(
+    conn,
+    releaseDir,
+    metadata,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "deploy:write_release_metadata";
+    const command = `printf '%s\\n' ${shellQuote(
+      JSON.stringify(metadata)
+    )} > ${releaseDir}/release.json`;
 
     await AbstractDeployer._runDeploymentStep(
       conn,
@@ -100,16 +1678,78 @@ export class AbstractDeployer {
   }
 
   /**
-   * Verifies that the directories specified in linked_dirs are correctly set up in the shared directory (public).
+   * Reads revisions.log.
    *
-   * @param {Client} conn - An established SSH connection.
-   * @param {string} projectFolder - The base project folder path on the VPS.
+   * @param {Client} conn - An established SSH connection
+   * @param {string} projectFolder - The path to the project directory
    * @param {number} stepNumber - The number of the section deployment step.
    * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @returns {Promise<string>} The content of revisions.log, empty if it does not exist.
+   * @throws {DeploymentError} Throws custom DeploymentError.
    */
-  async checkLinkedDirs(conn, projectFolder, stepNumber, connectionMessage) {
-    const task = "deploy:check:linked_dirs";
-    const command = `mkdir -p ${projectFolder}/shared/public`;
+  async readRevisionLog(conn, projectFolder, stepNumber, connectionMessage) {
+    const command = `cat ${projectFolder}/revisions.log 2>/dev/null || true`;
+
+    try {
+      actionLogger.info(
+        `${String(stepNumber).padStart(2, "0")} ${command}`,
+        chalk.yellow
+      );
+      // Printing the whole log is left to the caller
+      const response = await asyncWrapper(conn, command, {
+        readOnly: true,
+        quiet: true,
+      });
+      actionLogger.success(
+        `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+        chalk.green
+      );
+
+      return response;
+    } catch (error) {
+      throw new DeploymentError(error.message, "deploy:history", stepNumber);
+    }
+  }
+
+  /**
+   * Builds a revisions.log entry with the timestamp, the actor and the stage.
+   *
+   * @param {string} type - The event (deploy, deploy_failed, rollback, switch or cleanup).
+   * @param {Object} fields - The details of the event (e.g. from, to, sha).
+   * @returns {Object} The entry.
+   */
+  _revisionEntry(type, fields) {
+    return {
+      timestamp: new Date().toISOString(),
+      type,
+      actor: os.userInfo().username,
+      hostname: os.hostname(),
+      stage: this.stage || null,
+      ...fields,
+    };
+  }
+
+  /**
+   * Appends an entry as JSON line to revisions.log.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} projectFolder - The path to the project directory
+   * @param {Object} entry - The entry, see _revisionEntry().
+   * @param {string} task - The task writing the entry.
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   */
+  async appendRevisionLog(
+    conn,
+    projectFolder,
+    entry,
+    task,
+    stepNumber,
+    connectionMessage
+  ) {
+    const command = `printf '%s\\n' ${shellQuote(
+      JSON.stringify(entry)
+    )} >> ${projectFolder}/revisions.log`;
 
     await AbstractDeployer._runDeploymentStep(
       conn,
@@ -121,55 +1761,82 @@ export class AbstractDeployer {
   }
 
   /**
-   * Cleans up old releases on the VPS, keeping only the specified number of most recent releases.
+   * Logs a failed deployment to revisions.log.
    *
-   * @param {Client} conn - An established SSH connection.
-   * @param {string} projectFolder - The base project folder path on the VPS.
-   * @param {number} keepCount - The number of most recent releases to keep.
+   * @param {Client} conn - An established SSH connection
+   * @param {string} branch - The branch that failed to deploy
+   * @param {string|null} previousRelease - The release linked before the deployment
+   * @param {string} revisionTime - The release id of the failed release
+   * @param {string} failedTask - The task the deployment failed at
+   * @param {string} errorMessage - The error the deployment failed with
+   * @param {string} projectFolder - The path to the project directory
    * @param {number} stepNumber - The number of the section deployment step.
    * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
    */
-  async cleanupOldReleases(
+  async logFailedDeploy(
     conn,
+    branch,
+    previousRelease,
+    revisionTime,
+    failedTask,
+    errorMessage,
     projectFolder,
-    keepCount,
     stepNumber,
     connectionMessage
   ) {
-    const releasesPath = `${projectFolder}/releases`;
+    const entry = this._revisionEntry("deploy_failed", {
+      branch,
+      from: previousRelease || null,
+      to: revisionTime,
+      sha: this.revision || null,
+      task: failedTask,
+      error: errorMessage,
+    });
 
-    const task = "deploy:cleanup";
-
-    const cleanUpCommand = `cd ${releasesPath} && ls -1t | tail -n +${
-      keepCount + 1
-    } | xargs -I {} rm -rf {}`;
-
-    await AbstractDeployer._runDeploymentStep(
+    await this.appendRevisionLog(
       conn,
-      cleanUpCommand,
-      task,
+      projectFolder,
+      entry,
+      "deploy:failed:log_revision",
       stepNumber,
       connectionMessage
     );
   }
 
   /**
-   * Creates the release directory.
+   * Logs a rollback or a switch of the current release to revisions.log.
    *
    * @param {Client} conn - An established SSH connection
-   * @param {string} releaseDir - The path to the release directory to be created
+   * @param {string} action - Either "rollback" or "switch"
+   * @param {string|null} fromRelease - The release linked before
+   * @param {string} toRelease - The release linked now
+   * @param {string} revision - The commit of the release linked now
+   * @param {string} projectFolder - The path to the project directory
    * @param {number} stepNumber - The number of the section deployment step.
    * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
    */
-  async createReleaseDir(conn, releaseDir, stepNumber, connectionMessage) {
-    const task = "deploy:create_release_dir";
-
-    const command = `mkdir -p ${releaseDir}`;
+  async logReleaseChange(
+    conn,
+    action,
+    fromRelease,
+    toRelease,
+    revision,
+    projectFolder,
+    stepNumber,
+    connectionMessage
+  ) {
+    const entry = this._revisionEntry(action, {
+      branch: null,
+      from: fromRelease,
+      to: toRelease,
+      sha: revision || null,
+    });
 
-    await AbstractDeployer._runDeploymentStep(
+    await this.appendRevisionLog(
       conn,
-      command,
-      task,
+      projectFolder,
+      entry,
+      "deploy:log_revision",
       stepNumber,
       connectionMessage
     );
@@ -182,7 +1849,7 @@ export class AbstractDeployer {
    * @param {string} branch - The branch to be deployed
    * @param {string} revision - The SHA-1 hash of the repository branche's head
    * @param {string} revisionTime - The revision time
-   * @param {string} username - The username of the deployer
+   * @param {string|null} previousRelease - The release linked before the deployment
    * @param {string} projectFolder - The path to the project directory
    * @param {number} stepNumber - The number of the section deployment step.
    * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
@@ -192,36 +1859,62 @@ export class AbstractDeployer {
     branch,
     revision,
     revisionTime,
-    username,
+    previousRelease,
     projectFolder,
     stepNumber,
     connectionMessage
   ) {
-    const task = "deploy:log_revision";
+    const entry = this._revisionEntry("deploy", {
+      branch,
+      from: previousRelease || null,
+      to: revisionTime,
+      sha: revision,
+    });
 
-    const command = `echo "Branch ${branch} (at ${revision}) deployed as release ${revisionTime} by ${username}" >> ${projectFolder}/revisions.log`;
-
-    await AbstractDeployer._runDeploymentStep(
+    await this.appendRevisionLog(
       conn,
-      command,
-      task,
+      projectFolder,
+      entry,
+      "deploy:log_revision",
       stepNumber,
       connectionMessage
     );
   }
 
   /**
-   * Runs make linked dirs (cache, logs, secrets).
+   * Creates the shared directories for all linked dirs and the parent directories of all linked files.
    *
    * @param {Client} conn - An established SSH connection
    * @param {string} projectFolder - The path to the project directory
+   * @param {string[]} linkedDirs - Directories shared between releases, relative to the release directory
+   * @param {string[]} linkedFiles - Files shared between releases, relative to the release directory
    * @param {number} stepNumber - The number of the section deployment step.
    * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
    */
-  async makeLinkedDirs(conn, projectFolder, stepNumber, connectionMessage) {
+  async makeLinkedDirs(
+    conn,
+    projectFolder,
+    linkedDirs,
+    linkedFiles,
+    stepNumber,
+    connectionMessage
+  ) {
     const task = "deploy:check:make_linked_dirs";
 
-    const command = `mkdir -p ${projectFolder}/shared/cache ${projectFolder}/shared/logs ${projectFolder}/shared/secrets`;
+    const sharedDirs = new Set([
+      ...linkedDirs.map((dir) => `${projectFolder}/shared/${dir}`),
+      ...linkedFiles.map((file) =>
+        path.posix.dirname(`${projectFolder}/shared/${file}`)
+      ),
+    ]);
+
+    if (sharedDirs.size === 0) {
+      sectionLogger(task, chalk.blue);
+      actionLogger.info(`No linked dirs or files configured, skipping`);
+      return;
+    }
+
+    const command = `mkdir -p ${[...sharedDirs].join(" ")}`;
 
     await AbstractDeployer._runDeploymentStep(
       conn,
@@ -273,75 +1966,290 @@ export class AbstractDeployer {
   }
 
   /**
-   * Runs npm config in the release directory on the remote server.
+   * Verifies that the node manager of the server provides the configured node version.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {Object} nodeEnv - The node environment of the host, see nodeEnvironment().
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @throws {DeploymentError} Throws custom DeploymentError if node is missing or has another version.
+   */
+  async npmConfig(conn, nodeEnv, stepNumber, connectionMessage) {
+    const task = "npm:config";
+    const command = withNode(nodeEnv, "node --version");
+
+    try {
+      sectionLogger(task, chalk.blue);
+      actionLogger.info(
+        `${String(stepNumber).padStart(2, "0")} ${command}`,
+        chalk.yellow
+      );
+      const version = (
+        await asyncWrapper(conn, command, { readOnly: true, quiet: true })
+      )
+        .split("\n")
+        .pop()
+        .trim();
+
+      if (!matchesNodeVersion(version, nodeEnv.version)) {
+        throw new Error(
+          `node ${version} is installed, nodeVersion ${nodeEnv.version} is required`
+        );
+      }
+      actionLogger.info(
+        `node ${version} (${nodeEnv.manager || "no node manager"})`
+      );
+      actionLogger.success(
+        `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+        chalk.green
+      );
+    } catch (error) {
+      throw new DeploymentError(error.message, task, stepNumber);
+    }
+  }
+
+  /**
+   * Installs the dependencies in the release directory on the remote server, with the
+   * configured packageManager or the one of the lockfile in the release. The lockfile is
+   * installed as is and devDependencies are left out unless `install.production` is false.
+   * The cache of the package manager is kept in shared/cache/<manager>.
+   *
+   * If the lockfile, the install command and the node version are the same as for the
+   * previous release, its node_modules are copied with hard links instead.
    *
    * @param {Client} conn - An established SSH connection
-   * @param {string} nodeVersion - The required version of node.
+   * @param {Object} nodeEnv - The node environment of the host, see nodeEnvironment().
    * @param {string} releaseDir - The path to the release directory
+   * @param {string} [previousReleaseDir] - The path to the release current pointed to.
    * @param {number} stepNumber - The number of the section deployment step.
    * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
-   * @throws {DeploymentError} Throws custom DeploymentError.
+   * @returns {Promise<Object>} Resolves with the package manager and the dependency hash ({ name, lockfile, berry, hash, reused }).
+   * @throws {DeploymentError} Throws custom DeploymentError if the install fails.
    */
-  async npmConfig(
+  async npmInstall(
     conn,
-    nodeVersion,
+    nodeEnv,
     releaseDir,
+    previousReleaseDir,
     stepNumber,
     connectionMessage
   ) {
-    const task = "npm:config";
+    const task = "npm:install";
+    const { reuse = true, cache = true } = this.installOptions;
+
+    let packageManager, cacheDir, command, hash, previousHash;
+    try {
+      packageManager = detectPackageManager(
+        await asyncWrapper(conn, listLockfilesCommand(releaseDir), {
+          readOnly: true,
+          quiet: true,
+        }),
+        this.packageManager
+      );
+      cacheDir = cache
+        ? `${this.projectFolder}/shared/cache/${packageManager.name}`
+        : undefined;
+      command = installCommand(packageManager, {
+        ...this.installOptions,
+        cacheDir,
+      });
+
+      if (packageManager.lockfile) {
+        hash = parseDependencyHash(
+          await asyncWrapper(
+            conn,
+            withNode(
+              nodeEnv,
+              dependencyHashCommand(
+                releaseDir,
+                packageManager.lockfile,
+                command
+              )
+            ),
+            { readOnly: true, quiet: true }
+          )
+        );
+      }
+      // Releases shipping their own node_modules are installed as usual
+      if (hash && reuse && previousReleaseDir) {
+        previousHash = await asyncWrapper(
+          conn,
+          `[ -d ${previousReleaseDir}/node_modules ] && [ ! -e ${releaseDir}/node_modules ] && cat ${previousReleaseDir}/${dependencyStampFile} 2>/dev/null || true`,
+          { readOnly: true, quiet: true }
+        );
+      }
+    } catch (error) {
+      throw new DeploymentError(error.message, task, stepNumber);
+    }
+
+    const reused = Boolean(hash) && hash === previousHash;
+    if (reused) {
+      await AbstractDeployer._runDeploymentStep(
+        conn,
+        `cp -al ${previousReleaseDir}/node_modules ${releaseDir}/node_modules`,
+        task,
+        stepNumber,
+        connectionMessage
+      );
+      actionLogger.info(
+        `${packageManager.lockfile} unchanged, node_modules of ${path.basename(
+          previousReleaseDir
+        )} reused`
+      );
+      return { ...packageManager, hash, reused };
+    }
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      withNode(
+        nodeEnv,
+        `${
+          cacheDir ? `mkdir -p ${cacheDir} && ` : ""
+        }cd ${releaseDir} && ${command}`
+      ),
+      task,
+      stepNumber,
+      connectionMessage
+    );
+
+    if (!packageManager.lockfile) {
+      actionLogger.warning(
+        `No lockfile of ${packageManager.name} in the release, the dependencies were resolved again`
+      );
+    }
+    return { ...packageManager, hash, reused };
+  }
+
+  /**
+   * Reads the lock file of the project folder.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} projectFolder - The path to the project directory
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @returns {Promise<Object|null>} The lock details, null if the project folder is not locked.
+   * @throws {DeploymentError} Throws custom DeploymentError.
+   */
+  async readLock(conn, projectFolder, stepNumber, connectionMessage) {
+    const lockFile = `${projectFolder}/${lockFileName}`;
+    const command = `cat ${lockFile} 2>/dev/null || true`;
+
     try {
       actionLogger.info(
-        `${String(stepNumber).padStart(2, "0")} nvm use ${nodeVersion}`,
+        `${String(stepNumber).padStart(2, "0")} ${command}`,
         chalk.yellow
       );
+      const response = await asyncWrapper(conn, command, { readOnly: true });
       actionLogger.success(
         `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
         chalk.green
       );
+
+      return response ? AbstractDeployer._parseLock(response) : null;
     } catch (error) {
-      throw new DeploymentError(error.message, "npm:config", stepNumber);
+      throw new DeploymentError(
+        error.message,
+        "deploy:lock:status",
+        stepNumber
+      );
     }
   }
 
   /**
-   * Runs npm install in the release directory on the remote server.
+   * Removes the lock file and the pid file of the run, if the lock still belongs to the given lock id.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} projectFolder - The path to the project directory
+   * @param {string} lockId - The id of the lock taken by this deployment
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   */
+  async releaseLock(
+    conn,
+    projectFolder,
+    lockId,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "deploy:unlock";
+    const lockFile = `${projectFolder}/${lockFileName}`;
+    const command = `grep -qF ${shellQuote(
+      lockId
+    )} ${lockFile} 2>/dev/null && rm -f ${lockFile} ${projectFolder}/${pidFileName} || true`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      command,
+      task,
+      stepNumber,
+      connectionMessage
+    );
+  }
+
+  /**
+   * Removes the lock file regardless of its holder.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} projectFolder - The path to the project directory
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   */
+  async removeLock(conn, projectFolder, stepNumber, connectionMessage) {
+    const task = "deploy:unlock";
+    const command = `rm -f ${projectFolder}/${lockFileName}`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      command,
+      task,
+      stepNumber,
+      connectionMessage
+    );
+  }
+  /**
+   * Stops the command a lost connection left running, before its task runs again. The process
+   * group of the command is taken from the pid file written by asyncWrapper(), it is killed if
+   * it does not end within 10 seconds.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} pidFile - The pid file of the task
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   */
+  async stopInterruptedCommand(conn, pidFile, stepNumber, connectionMessage) {
+    const task = "deploy:stop_interrupted";
+    const command = `pid=$(cat ${pidFile} 2>/dev/null); rm -f ${pidFile}; [ -z "$pid" ] || { kill -TERM -- -$pid 2>/dev/null; i=0; while kill -0 -- -$pid 2>/dev/null && [ $i -lt 10 ]; do sleep 1; i=$((i + 1)); done; kill -KILL -- -$pid 2>/dev/null; true; }`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      command,
+      task,
+      stepNumber,
+      connectionMessage
+    );
+  }
+
+  /**
+   * Removes a release directory.
    *
    * @param {Client} conn - An established SSH connection
-   * @param {string} nodeVersion - The required version of node.
-   * @param {string} releaseDir - The path to the release directory
+   * @param {string} releaseDir - The path to the release directory to be removed
    * @param {number} stepNumber - The number of the section deployment step.
    * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
    */
-  async npmInstall(
-    conn,
-    nodeVersion,
-    releaseDir,
-    stepNumber,
-    connectionMessage
-  ) {
-    const task = "npm:install";
+  async removeReleaseDir(conn, releaseDir, stepNumber, connectionMessage) {
+    const task = "deploy:failed:remove_release_dir";
 
-    // Construct the npm install command with the release directory
-    // const installCommand = `npm install --prefix ${releaseDir}`;
-    let installCommand;
+    // Includes archives left behind by the remoteCache and copy deployers
+    const command = `rm -rf ${releaseDir} ${releaseDir}.tar ${releaseDir}.tar.gz`;
 
-    if (nodeVersion) {
-      installCommand = `zsh -c '. /home/stephan/.nvm/nvm.sh && nvm use v${nodeVersion} && npm install --prefix ${releaseDir}'`;
-    } else {
-      installCommand = `npm install --prefix ${releaseDir}`;
-    }
-    try {
-      await AbstractDeployer._runDeploymentStep(
-        conn,
-        installCommand,
-        task,
-        stepNumber,
-        connectionMessage
-      );
-    } catch (err) {
-      actionLogger.error(err);
-    }
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      command,
+      task,
+      stepNumber,
+      connectionMessage
+    );
   }
 
   /**
@@ -371,7 +2279,60 @@ export class AbstractDeployer {
   }
 
   /**
-   * Sets current revision.
+   * Reads the revision of the local repository, used by deployers uploading local files.
+   * Uncommitted changes are uploaded as well, the revision is then marked with -dirty.
+   *
+   * @param {string} task - The task reading the revision.
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @returns {Promise<string>} The revision.
+   * @throws {DeploymentError} Throws custom DeploymentError if the project is no Git repository.
+   */
+  async getLocalRevision(task, stepNumber) {
+    const command = "git rev-parse HEAD && git status --porcelain";
+
+    sectionLogger(task, chalk.blue);
+    actionLogger.info(
+      `${String(stepNumber).padStart(2, "0")} ${command}`,
+      chalk.yellow
+    );
+
+    try {
+      const { stdout } = await execa("git", ["rev-parse", "HEAD"], {
+        cwd: process.cwd(),
+      });
+      const { stdout: changes } = await execa(
+        "git",
+        ["status", "--porcelain"],
+        {
+          cwd: process.cwd(),
+        }
+      );
+      const revision = changes.trim()
+        ? `${stdout.trim()}-dirty`
+        : stdout.trim();
+      actionLogger.success(
+        `${String(stepNumber).padStart(2, "0")} ${revision}`,
+        chalk.green
+      );
+      if (changes.trim()) {
+        actionLogger.warning(
+          `The working tree has uncommitted changes, they are deployed as ${revision}`
+        );
+      }
+
+      return revision;
+    } catch (error) {
+      throw new DeploymentError(
+        `Could not read the local revision: ${error.stderr || error.message}`,
+        task,
+        stepNumber
+      );
+    }
+  }
+
+  /**
+   * Sets current revision. Deployers uploading local files set localRevision,
+   * otherwise the revision is read from the release.
    *
    * @param {Client} conn - An established SSH connection
    * @param {string} releaseDir - The release directory
@@ -382,11 +2343,16 @@ export class AbstractDeployer {
   async setCurrentRevision(conn, releaseDir, stepNumber, connectionMessage) {
     const task = "deploy:set_current_revision";
 
-    const getCurrentRevisionCommand = `(cd ${releaseDir} && git rev-parse HEAD)`;
-    actionLogger.info(`01 ${getCurrentRevisionCommand}`, chalk.yellow);
+    let revision = this.localRevision;
+    if (!revision) {
+      const getCurrentRevisionCommand = `(cd ${releaseDir} && git rev-parse HEAD)`;
+      actionLogger.info(`01 ${getCurrentRevisionCommand}`, chalk.yellow);
 
-    const revision = await asyncWrapper(conn, getCurrentRevisionCommand);
-    actionLogger.success(`01 ${connectionMessage}`, chalk.green);
+      revision = await asyncWrapper(conn, getCurrentRevisionCommand, {
+        dryRunResponse: "<revision>",
+      });
+      actionLogger.success(`01 ${connectionMessage}`, chalk.green);
+    }
 
     const setCurrentRevisionCommand = `echo "${revision}" > ${releaseDir}/REVISION`;
 
@@ -433,81 +2399,57 @@ export class AbstractDeployer {
   }
 
   /**
-   *  Creates symlinks for all linked dirs.
+   * Creates symlinks for all linked dirs. Existing directories in the release are replaced by the link.
    *
    * @param {Client} conn - An established SSH connection
    * @param {string} projectFolder - The project directory
    * @param {string} releaseDir - The release directory
+   * @param {string[]} linkedDirs - Directories shared between releases, relative to the release directory
    * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
    * @throws {DeploymentError} Throws custom DeploymentError.
    */
-  async symlinkLinkedDirs(conn, projectFolder, releaseDir, connectionMessage) {
-    const cachePath = `${projectFolder}/shared/cache`;
-    const logsPath = `${projectFolder}/shared/logs`;
-    const uploadsPath = `${projectFolder}/shared/media/uploads`;
-
-    sectionLogger("deploy:symlink:linked_files", chalk.blue);
-
-    // Define the paths for symlinks
-    const symlinks = [
-      { target: cachePath, link: `${releaseDir}/cache` },
-      { target: logsPath, link: `${releaseDir}/logs` },
-      { target: uploadsPath, link: `${releaseDir}/public/uploads` },
-    ];
-
-    try {
-      // Execute each symlink command sequentially
-      for (const [i, { target, link }] of symlinks.entries()) {
-        const symlinkCommand = `ln -s ${target} ${link}`;
-        actionLogger.info(`0${i + 1} ${symlinkCommand}`, chalk.yellow);
-        // await execCommand(symlinkCommand);
-        await asyncWrapper(conn, symlinkCommand);
-        actionLogger.success(`0${i + 1} ${connectionMessage}`, chalk.green);
-      }
-    } catch (error) {
-      throw new DeploymentError(
-        error.message,
-        "deploy:symlink:linked_files",
-        1
-      );
-    }
+  async symlinkLinkedDirs(
+    conn,
+    projectFolder,
+    releaseDir,
+    linkedDirs,
+    connectionMessage
+  ) {
+    await AbstractDeployer._symlinkShared(
+      conn,
+      projectFolder,
+      releaseDir,
+      linkedDirs,
+      "deploy:symlink:linked_dirs",
+      connectionMessage
+    );
   }
 
   /**
-   * Creates symlinks for all linked files.
+   * Creates symlinks for all linked files. Existing files in the release are replaced by the link.
    *
    * @param {Client} conn - An established SSH connection
    * @param {string} projectFolder - The project directory
    * @param {string} releaseDir - The release directory
+   * @param {string[]} linkedFiles - Files shared between releases, relative to the release directory
    * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
    * @throws {DeploymentError} Throws custom DeploymentError.
    */
-  async symlinkLinkedFiles(conn, projectFolder, releaseDir, connectionMessage) {
-    const secretsPath = `${projectFolder}/shared/secrets/.env.production`;
-
-    sectionLogger("deploy:symlink:linked_files", chalk.blue);
-
-    // Define the paths for symlinks
-    const symlinks = [
-      { target: secretsPath, link: `${releaseDir}/.env.production` },
-    ];
-
-    try {
-      // Execute each symlink command sequentially
-      for (const [i, { target, link }] of symlinks.entries()) {
-        const symlinkCommand = `ln -s ${target} ${link}`;
-        actionLogger.info(`0${i + 1} ${symlinkCommand}`, chalk.yellow);
-        // await execCommand(symlinkCommand);
-        await asyncWrapper(conn, symlinkCommand);
-        actionLogger.success(`0${i + 1} ${connectionMessage}`, chalk.green);
-      }
-    } catch (error) {
-      throw new DeploymentError(
-        error.message,
-        "deploy:symlink:linked_files",
-        1
-      );
-    }
+  async symlinkLinkedFiles(
+    conn,
+    projectFolder,
+    releaseDir,
+    linkedFiles,
+    connectionMessage
+  ) {
+    await AbstractDeployer._symlinkShared(
+      conn,
+      projectFolder,
+      releaseDir,
+      linkedFiles,
+      "deploy:symlink:linked_files",
+      connectionMessage
+    );
   }
 
   /**
@@ -531,19 +2473,19 @@ export class AbstractDeployer {
     sectionLogger("deploy:after:symlink_public_resources", chalk.blue);
 
     try {
-      // List all files and directories in the shared/public directory
-      const listCommand = `find ${sharedPublicDir} -mindepth 1 -maxdepth 1`;
+      // List all files and directories in the shared/public directory, if public is linked
+      const listCommand = `find ${sharedPublicDir} -mindepth 1 -maxdepth 1 2>/dev/null || true`;
       actionLogger.info(`Listing resources in ${sharedPublicDir}`, chalk.white);
 
       // Execute the list command and capture output
-      const result = await asyncWrapper(conn, listCommand);
-      const resources = result.trim().split("\n");
+      const result = await asyncWrapper(conn, listCommand, { readOnly: true });
+      const resources = result.trim().split("\n").filter(Boolean);
 
       // Loop through resources and create symlinks in the release/public directory
       for (const [i, resource] of resources.entries()) {
         const resourceName = resource.split("/").pop(); // Get the file/directory name
         const linkPath = `${releasePublicDir}/${resourceName}`;
-        const symlinkCommand = `ln -s ${resource} ${linkPath}`;
+        const symlinkCommand = `ln -sfn ${resource} ${linkPath}`;
 
         actionLogger.info(`0${i + 1} ${symlinkCommand}`, chalk.yellow);
         await asyncWrapper(conn, symlinkCommand);
@@ -560,6 +2502,7 @@ export class AbstractDeployer {
 
   /**
    * Creates the symlink for the current release from current to releases/release.
+   * The link is created next to current and moved over it, so the switch is atomic.
    *
    * @param {Client} conn - An established SSH connection
    * @param {string} releaseDir - The release directory
@@ -575,7 +2518,7 @@ export class AbstractDeployer {
   ) {
     const task = "deploy:symlink:release";
 
-    const command = `ln -sfn ${releaseDir} ${currentSymlink}`;
+    const command = `ln -sfn ${releaseDir} ${currentSymlink}_tmp && mv -Tf ${currentSymlink}_tmp ${currentSymlink}`;
 
     await AbstractDeployer._runDeploymentStep(
       conn,
@@ -586,6 +2529,545 @@ export class AbstractDeployer {
     );
   }
 
+  /**
+   * Returns the primary host, or the first host if none is flagged as primary.
+   *
+   * @returns {Object} The primary host.
+   */
+  primaryHost() {
+    return this.hosts.find((host) => host.primary) || this.hosts[0];
+  }
+
+  /**
+   * Selects the hosts a task runs on, based on the task roles.
+   *
+   * The primary host of a role is the first host of the role flagged as primary,
+   * or the first host of the role if none is flagged.
+   *
+   * @param {string} task - The deployment task.
+   * @returns {Object[]} The hosts matching the roles of the task.
+   */
+  hostsFor(task) {
+    const taskRole = taskRoles[task];
+    if (!taskRole) {
+      return this.hosts;
+    }
+
+    const hosts = this.hosts.filter((host) =>
+      host.roles.some((role) => taskRole.roles.includes(role))
+    );
+
+    if (taskRole.primary) {
+      const [role] = taskRole.roles;
+      const roleHosts = hosts.filter((host) => host.roles.includes(role));
+      const primaryHost =
+        roleHosts.find((host) => host.primary) || roleHosts[0];
+      return primaryHost ? [primaryHost] : [];
+    }
+
+    return hosts;
+  }
+
+  /**
+   * Lists the preflight checks of `einsatz check` for a host. Deployers add the tools and
+   * access they need, e.g. the repository. Every check runs a read-only command, whose
+   * output is evaluated into { ok, detail }.
+   *
+   * @param {Object} host - The host to check.
+   * @returns {Object[]} The checks ({ item, command, evaluate }).
+   */
+  preflightChecks(host) {
+    const projectFolder = this.projectFolder;
+    // deployTo may not exist before the first deploy, its closest existing parent is checked
+    const existingDir = `dir=${projectFolder}; while [ ! -e "$dir" ]; do dir=$(dirname "$dir"); done`;
+    const checks = [
+      {
+        item: "deployTo",
+        command: `${existingDir}; [ -w "$dir" ] && echo "writable $dir" || echo "readonly $dir"`,
+        evaluate: (output) => {
+          const [state, dir] = output.split(" ");
+          return {
+            ok: state === "writable",
+            detail: `${dir} is ${state === "writable" ? "" : "not "}writable${
+              dir === projectFolder ? "" : ` (${projectFolder} will be created)`
+            }`,
+          };
+        },
+      },
+      {
+        item: "disk space",
+        command: `${existingDir}; df -Pk "$dir" | tail -1`,
+        evaluate: (output) => {
+          const available = Number(output.split(/\s+/)[3]) * 1024;
+          return {
+            ok: available >= minimumDiskSpace,
+            detail: `${formatBytes(available)} available, ${formatBytes(
+              minimumDiskSpace
+            )} required`,
+          };
+        },
+      },
+      {
+        item: "node",
+        command: withNode(host.nodeEnv, "node --version"),
+        evaluate: (output) => {
+          const version = output.split("\n").pop().trim();
+          const manager = host.nodeEnv?.manager || "no node manager";
+          return {
+            ok: matchesNodeVersion(version, this.nodeVersion),
+            detail: this.nodeVersion
+              ? `${version} (${manager}), ${this.nodeVersion} required`
+              : `${version} (${manager}), no nodeVersion configured`,
+          };
+        },
+      },
+    ];
+
+    // npm comes with node, pnpm and yarn are installed separately (e.g. with corepack enable)
+    if (this.packageManager && this.packageManager !== "npm") {
+      checks.push({
+        item: this.packageManager,
+        command: withNode(host.nodeEnv, `${this.packageManager} --version`),
+        evaluate: (output) => ({
+          ok: true,
+          detail: `${this.packageManager} ${output.split("\n").pop().trim()}`,
+        }),
+      });
+    }
+
+    if (this.hostsFor("systemctl:restart").includes(host)) {
+      checks.push({
+        item: "sudo",
+        command: `sudo -n -l systemctl restart ${this.application}.service`,
+        evaluate: () => ({
+          ok: true,
+          detail: `systemctl restart ${this.application}.service allowed without password`,
+        }),
+      });
+    }
+
+    if (this.linkedFiles.length > 0) {
+      const sharedFiles = this.linkedFiles.map(
+        (file) => `${projectFolder}/shared/${file}`
+      );
+      checks.push({
+        item: "linked files",
+        command: `for file in ${sharedFiles.join(
+          " "
+        )}; do [ -f "$file" ] || echo "$file"; done`,
+        evaluate: (output) => ({
+          ok: output === "",
+          detail: output
+            ? `missing ${output.split("\n").join(", ")}`
+            : `${this.linkedFiles.length} files present`,
+        }),
+      });
+    }
+
+    return checks;
+  }
+
+  /**
+   * Lists the preflight checks of deployers cloning the repository on the server:
+   * git has to be installed and the branch has to be readable with the forwarded agent.
+   *
+   * @returns {Object[]} The checks ({ item, command, evaluate }).
+   */
+  repositoryChecks() {
+    const { repoUrl, branch } = this.repoDetails || {};
+
+    return [
+      {
+        item: "git",
+        command: "git --version",
+        evaluate: (output) => ({ ok: true, detail: output }),
+      },
+      {
+        item: "repository",
+        command: `GIT_SSH_COMMAND="ssh -o BatchMode=yes" git ls-remote --heads ${shellQuote(
+          repoUrl
+        )} ${shellQuote(branch)}`,
+        evaluate: (output) => ({
+          ok: output !== "",
+          detail: output
+            ? `branch ${branch} at ${output.slice(0, 7)}`
+            : `branch ${branch} not found in ${repoUrl}`,
+        }),
+      },
+    ];
+  }
+
+  /**
+   * Runs a deployment task on every host matching the roles of the task.
+   * The hosts are processed one after another, so each task is finished on
+   * all hosts before the next task starts. Emits task:start and task:finish
+   * on the Einsatz instance.
+   *
+   * @param {string} task - The deployment task.
+   * @param {Function} step - Async function receiving the host ({ conn, connectionConfig, roles, primary, connectionMessage }).
+   * @returns {Promise<Array>} The results of the step for every host.
+   */
+  async _runTask(task, step) {
+    this.currentTask = task;
+    const hosts = this.hostsFor(task);
+    if (hosts.length === 0) {
+      sectionLogger(task, chalk.blue);
+      actionLogger.info(`No host with matching role, skipping ${task}`);
+      return [];
+    }
+
+    const startedAt = Date.now();
+    const taskEvent = {
+      task,
+      hosts: hosts.map((host) => host.connectionConfig.host),
+      stage: this.stage,
+      release: this.revisionTime,
+    };
+    this.events?.emit("task:start", taskEvent);
+
+    for (const host of hosts) {
+      await this._ensureConnected(host);
+      host.conn.commandTimeout = this.commandTimeoutFor(task); // Hooks included
+      await this._runHooks("before", task, host);
+    }
+
+    const results = [];
+    for (const host of hosts) {
+      results.push(await this._runStep(task, step, host));
+    }
+
+    for (const host of hosts) {
+      await this._runHooks("after", task, host);
+    }
+
+    this.events?.emit("task:finish", {
+      ...taskEvent,
+      duration: Date.now() - startedAt,
+    });
+    return results;
+  }
+
+  /**
+   * Returns the seconds the commands of a task may run, from taskTimeouts or commandTimeout.
+   *
+   * @param {string} task - The deployment task.
+   * @returns {number|undefined} The timeout, 0 or undefined waits forever.
+   */
+  commandTimeoutFor(task) {
+    return this.taskTimeouts[task] ?? this.commandTimeout;
+  }
+
+  /**
+   * Runs the step of a task on a host. Commands of the step are killed after the timeout
+   * of the task. If the connection drops, retryable tasks run again on a new connection once
+   * the interrupted command is stopped, other tasks fail with the state the server was left in.
+   *
+   * @param {string} task - The deployment task.
+   * @param {Function} step - The step, called with the host.
+   * @param {Object} host - The host to run the step on.
+   * @returns {Promise<*>} Resolves with the result of the step.
+   * @throws {DeploymentError} Throws if the connection is lost and the step cannot be retried.
+   */
+  async _runStep(task, step, host) {
+    // A connection dropped between tasks is replaced before the task changes anything
+    await this._ensureConnected(host);
+    const pidFile = retryableTasks.includes(task)
+      ? `${this.projectFolder}/${pidFileName}`
+      : undefined;
+
+    for (let attempt = 1; ; attempt++) {
+      host.conn.commandTimeout = this.commandTimeoutFor(task);
+      host.conn.pidFile = pidFile;
+      try {
+        return await step(host);
+      } catch (error) {
+        if (!host.conn.closed) {
+          throw error;
+        }
+
+        const lost = `Connection to ${host.connectionMessage} lost during ${task}`;
+        this.interruptedHost = host;
+        if (
+          !this.reconnect ||
+          !retryableTasks.includes(task) ||
+          attempt > this.reconnectAttempts
+        ) {
+          throw new DeploymentError(
+            retryableTasks.includes(task)
+              ? `${lost}, gave up after ${attempt - 1} reconnects`
+              : `${lost}, the task cannot be retried safely`,
+            task,
+            error.step ?? 1,
+            this.serverState(host, task)
+          );
+        }
+
+        const delay = reconnectDelay * 2 ** (attempt - 1);
+        actionLogger.warning(
+          `${lost}, reconnecting in ${delay}s (attempt ${attempt} of ${this.reconnectAttempts})`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay * 1000));
+        try {
+          await this.reconnect(host);
+          // The command the connection was lost in would run alongside the retry
+          await this.stopInterruptedCommand(
+            host.conn,
+            pidFile,
+            1,
+            host.connectionMessage
+          );
+        } catch (reconnectError) {
+          // The next attempt fails at once on the closed connection
+          actionLogger.error(reconnectError.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Reconnects a host whose connection was lost, e.g. to clean up after a failed deployment.
+   *
+   * @param {Object} host - The host.
+   * @returns {Promise<void>} Resolves when the host is connected.
+   * @throws {SSHError} Throws if the host cannot be reconnected.
+   */
+  async _ensureConnected(host) {
+    if (host.conn.closed && this.reconnect) {
+      await this.reconnect(host);
+    }
+  }
+
+  /**
+   * Detects the node manager and the shell of a host once, remote node commands are
+   * wrapped with withNode() to run in the configured node version.
+   *
+   * @param {Object} host - The host.
+   * @returns {Promise<Object>} The node environment ({ manager, location, shell, version }).
+   * @throws {DeploymentError} Throws if the configured nodeManager is not installed.
+   */
+  async nodeEnvironment(host) {
+    if (!host.nodeEnv) {
+      const output = await asyncWrapper(
+        host.conn,
+        detectNodeManagerCommand(this.nodeManager),
+        { readOnly: true, quiet: true }
+      );
+      const nodeEnv = parseNodeManager(output, this.nodeVersion);
+
+      if (this.nodeManager && !nodeEnv.manager) {
+        throw new DeploymentError(
+          `nodeManager ${this.nodeManager} is not installed on ${host.connectionConfig.host}`,
+          this.currentTask,
+          1
+        );
+      }
+      host.nodeEnv = nodeEnv;
+    }
+    return host.nodeEnv;
+  }
+
+  /**
+   * Reads the node version remote node commands run with on a host once, as reported by
+   * `node --version` through its node manager.
+   *
+   * @param {Object} host - The host.
+   * @returns {Promise<string|null>} The node version (e.g. v20.11.1), null if node is not installed.
+   * @throws {DeploymentError} Throws if the configured nodeManager is not installed.
+   */
+  async hostNodeVersion(host) {
+    if (host.nodeVersion === undefined) {
+      const output = await asyncWrapper(
+        host.conn,
+        withNode(
+          await this.nodeEnvironment(host),
+          "node --version 2>/dev/null || true"
+        ),
+        { readOnly: true, quiet: true }
+      );
+      host.nodeVersion = output.split("\n").pop().trim() || null;
+    }
+    return host.nodeVersion;
+  }
+
+  /**
+   * Describes what an interrupted task left on a host, for the DeploymentError.
+   *
+   * @param {Object} host - The host the task was interrupted on.
+   * @param {string} task - The interrupted task.
+   * @returns {string[]} The state of the host.
+   */
+  serverState(host, task) {
+    const state = [];
+    if (this.startedAt) {
+      state.push(
+        host.releaseCreated
+          ? `release ${this.revisionTime} exists and may be incomplete`
+          : `release ${this.revisionTime} was ${
+              host.releaseRemoved ? "removed" : "not created"
+            }`,
+        host.symlinked
+          ? `current may point to release ${this.revisionTime}`
+          : `current points to ${
+              host.previousRelease
+                ? `release ${host.previousRelease}`
+                : "no release"
+            }`
+      );
+    }
+    if (interruptedTaskStates[task]) {
+      state.push(interruptedTaskStates[task]);
+    }
+    return state.map((line) => `${host.connectionConfig.host}: ${line}`);
+  }
+
+  /**
+   * Returns the details of the release being deployed, handed to JS hooks.
+   *
+   * @returns {Object} The release context.
+   */
+  releaseContext() {
+    return {
+      application: this.application,
+      stage: this.stage,
+      projectFolder: this.projectFolder,
+      releaseDir: this.releaseDir,
+      branch: this.repoDetails?.branch,
+      revision: this.revision,
+      revisionTime: this.revisionTime,
+    };
+  }
+
+  /**
+   * Runs the hooks configured before or after a task on a host.
+   *
+   * A hook is either a shell command or an async function receiving
+   * { conn, host, task, release }. Shell commands run inside the release
+   * directory, or the project folder while the release directory does not exist.
+   *
+   * @param {string} position - Either "before" or "after".
+   * @param {string} task - The deployment task the hooks are attached to.
+   * @param {Object} host - The host to run the hooks on.
+   * @throws {DeploymentError} Throws custom DeploymentError.
+   */
+  async _runHooks(position, task, host) {
+    const hooks = [].concat(this.hooks[position]?.[task] || []);
+    const hookTask = `${position}:${task}`;
+
+    for (const [i, hook] of hooks.entries()) {
+      if (typeof hook === "function") {
+        sectionLogger(hookTask, chalk.blue);
+        actionLogger.info(
+          `${String(i + 1).padStart(2, "0")} ${hook.name || "function hook"}`,
+          chalk.yellow
+        );
+        if (host.conn.dryRun) {
+          actionLogger.info("skipped (dry run)", chalk.gray);
+          continue;
+        }
+        try {
+          await hook({
+            conn: host.conn,
+            host,
+            task,
+            release: this.releaseContext(),
+          });
+        } catch (error) {
+          throw new DeploymentError(error.message, hookTask, i + 1);
+        }
+        actionLogger.success(
+          `${String(i + 1).padStart(2, "0")} ${host.connectionMessage}`,
+          chalk.green
+        );
+      } else {
+        await AbstractDeployer._runDeploymentStep(
+          host.conn,
+          withNode(
+            await this.nodeEnvironment(host),
+            `cd ${this.releaseDir} 2>/dev/null || cd ${this.projectFolder}; ${hook}`
+          ),
+          hookTask,
+          i + 1,
+          host.connectionMessage
+        );
+      }
+    }
+  }
+
+  /**
+   * Static method linking shared paths into the release directory.
+   * Creates the parent directory inside the release and removes whatever the
+   * release contains at the path before linking shared/<path> to it.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} projectFolder - The project directory
+   * @param {string} releaseDir - The release directory
+   * @param {string[]} sharedPaths - Paths relative to the shared and the release directory
+   * @param {string} task - The deployment task.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @throws {DeploymentError} Throws custom DeploymentError.
+   */
+  static async _symlinkShared(
+    conn,
+    projectFolder,
+    releaseDir,
+    sharedPaths,
+    task,
+    connectionMessage
+  ) {
+    sectionLogger(task, chalk.blue);
+
+    if (sharedPaths.length === 0) {
+      actionLogger.info(`Nothing to link, skipping`);
+      return;
+    }
+
+    // Define the paths for symlinks
+    const symlinks = sharedPaths.map((sharedPath) => ({
+      target: `${projectFolder}/shared/${sharedPath}`,
+      link: `${releaseDir}/${sharedPath}`,
+    }));
+
+    try {
+      // Execute each symlink command sequentially
+      for (const [i, { target, link }] of symlinks.entries()) {
+        const symlinkCommand = `mkdir -p ${path.posix.dirname(
+          link
+        )} && rm -rf ${link} && ln -s ${target} ${link}`;
+        actionLogger.info(
+          `${String(i + 1).padStart(2, "0")} ${symlinkCommand}`,
+          chalk.yellow
+        );
+        await asyncWrapper(conn, symlinkCommand);
+        actionLogger.success(
+          `${String(i + 1).padStart(2, "0")} ${connectionMessage}`,
+          chalk.green
+        );
+      }
+    } catch (error) {
+      throw new DeploymentError(error.message, task, 1);
+    }
+  }
+
+  /**
+   * Static method parsing the content of a lock file.
+   *
+   * @param {string} content - The content of the lock file.
+   * @returns {Object} The lock details, unknown fields are marked as such.
+   */
+  static _parseLock(content) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      return {
+        user: "unknown",
+        hostname: "unknown",
+        since: "unknown",
+        action: "unknown",
+        raw: content,
+      };
+    }
+  }
+
   /**
    * Static method for running deployment steps.
    *
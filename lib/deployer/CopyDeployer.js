@@ -1,110 +1,267 @@
 // lib/deployer/CopyDeployer.js
 
 // Global imports
-import path, { dirname } from "path";
-import { fileURLToPath } from "url";
+import os from "os";
+import path from "path";
+import fs from "fs";
+import chalk from "chalk";
+import execa from "execa";
 
 // Local imports
 import { AbstractDeployer } from "./AbstractDeployer.js";
+import DeploymentError from "../errors/DeploymentError.js";
+import { sectionLogger, actionLogger } from "../utils/logger.js";
+import { formatBytes } from "../utils/formatBytes.js";
 
+/**
+ * Deployer packaging the local project into a tarball, which is uploaded over SFTP
+ * and extracted into the release directory. The servers do not need access to the
+ * Git repository.
+ *
+ * Without an include list all files not ignored by .gitignore are packaged.
+ */
 export class CopyDeployer extends AbstractDeployer {
   constructor(einsatzInstance) {
-    this.conn = einsatzInstance.conn;
-    this.repoDetails = einsatzInstance.repoDetails;
-    this.projectFolder = einsatzInstance.projectFolder;
-    this.releaseDir = `${einsatzInstance.projectFolder}/releases/${einsatzInstance.revisionTime}`;
+    super(einsatzInstance);
+    this.copyOptions = einsatzInstance.copyOptions || {}; // { include, exclude }
+    this.localDirectory = process.cwd(); // The project directory to package
   }
 
-  async deploy(stepNumber, connectionMessage) {
-    // Get the current file's directory name
-    const __filename = fileURLToPath(import.meta.url); // Get file path from module URL
-    const __dirname = dirname(__filename); // Get the directory from file path
-    const repoDir = path.resolve(__dirname, "..", ".git");
-
-    // const repoDir = path.resolve(__dirname, this.repoDirectory); // Local repository directory
-    const remoteRepoDir = `${releaseDir}`; // Target directory on VPS
-
-    sectionLogger("git:clone", chalk.blue);
-    console.log("__filename", __filename);
-    console.log("__dirname", __dirname);
-    console.log("repoDir", repoDir);
-    console.log("remoteRepoDir", remoteRepoDir);
-
-    // Use SFTP to upload the files to the remote VPS
-    return new Promise((resolve, reject) => {
-      conn.sftp((err, sftp) => {
-        if (err) return reject(err);
-
-        // Recursive file copy function
-        const copyFiles = (src, dest, cb) => {
-          fs.readdir(src, (err, files) => {
-            if (err) return cb(err);
-
-            let remaining = files.length;
-            if (remaining === 0) return cb();
-
-            files.forEach((file) => {
-              const srcPath = path.join(src, file);
-              const destPath = path.join(dest, file);
-              fs.stat(srcPath, (err, stats) => {
-                if (err) return cb(err);
-
-                if (stats.isDirectory()) {
-                  sftp.mkdir(destPath, { recursive: true }, (err) => {
-                    if (err) return cb(err);
-                    copyFiles(srcPath, destPath, () => {
-                      if (--remaining === 0) cb();
-                    });
-                  });
-                } else {
-                  const readStream = fs.createReadStream(srcPath);
-                  const writeStream = sftp.createWriteStream(destPath);
-
-                  writeStream.on("close", () => {
-                    if (--remaining === 0) cb();
-                  });
-
-                  readStream.pipe(writeStream);
-                }
-              });
-            });
+  /**
+   * Packages the local project and uploads it into the release directory on all hosts.
+   *
+   * @returns {Promise<void>} Resolves when the code is in place.
+   */
+  async updateCode() {
+    const archiveName = `${this.application || "release"}-${
+      this.revisionTime
+    }.tar.gz`;
+    const localArchive = path.join(os.tmpdir(), archiveName);
+    const remoteArchive = `${this.releaseDir}.tar.gz`;
+
+    try {
+      // copy:package
+      this.localRevision = await this.getLocalRevision("copy:package", 1);
+      await this.packageProject(localArchive, 2);
+
+      // copy:upload
+      await this._runTask("copy:upload", (host) =>
+        this.uploadArchive(
+          host.conn,
+          localArchive,
+          remoteArchive,
+          1,
+          host.connectionMessage
+        )
+      );
+    } finally {
+      fs.rmSync(localArchive, { force: true });
+    }
+
+    // copy:extract
+    await this._runTask("copy:extract", (host) =>
+      this.extractArchive(
+        host.conn,
+        remoteArchive,
+        this.releaseDir,
+        1,
+        host.connectionMessage
+      )
+    );
+  }
+
+  /**
+   * Adds tar, which extracts the uploaded tarball, to the preflight checks.
+   *
+   * @param {Object} host - The host to check.
+   * @returns {Object[]} The checks ({ item, command, evaluate }).
+   */
+  preflightChecks(host) {
+    return [
+      {
+        item: "tar",
+        command: "tar --version | head -1",
+        evaluate: (output) => ({ ok: true, detail: output }),
+      },
+      ...super.preflightChecks(host),
+    ];
+  }
+
+  /**
+   * Lists the files to package, either the configured include list or all files
+   * Git does not ignore.
+   *
+   * @returns {Promise<string[]>} Paths relative to the project directory.
+   */
+  async listFiles() {
+    if (this.copyOptions.include && this.copyOptions.include.length) {
+      return this.copyOptions.include;
+    }
+
+    const { stdout } = await execa(
+      "git",
+      ["ls-files", "-z", "--cached", "--others", "--exclude-standard"],
+      { cwd: this.localDirectory }
+    );
+
+    // Tracked files deleted in the working tree are still listed
+    return stdout
+      .split("\0")
+      .filter(
+        (file) => file && fs.existsSync(path.join(this.localDirectory, file))
+      );
+  }
+
+  /**
+   * Packages the project into a compressed tarball, dry runs only list the files.
+   *
+   * @param {string} localArchive - The path of the tarball to create.
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @throws {DeploymentError} Throws custom DeploymentError if packaging fails.
+   */
+  async packageProject(localArchive, stepNumber) {
+    const task = "copy:package";
+    const exclude = this.copyOptions.exclude || [];
+
+    try {
+      const files = await this.listFiles();
+      const args = [
+        "-czf",
+        localArchive,
+        ...exclude.map((pattern) => `--exclude=${pattern}`),
+        "--null",
+        "-T",
+        "-",
+      ];
+
+      actionLogger.info(
+        `${String(stepNumber).padStart(2, "0")} tar ${args.join(" ")} (${
+          files.length
+        } paths)`,
+        chalk.yellow
+      );
+
+      if (this.dryRun) {
+        actionLogger.info("skipped (dry run)", chalk.gray);
+        return;
+      }
+
+      await execa("tar", args, {
+        cwd: this.localDirectory,
+        input: files.join("\0"),
+      });
+
+      actionLogger.success(
+        `${String(stepNumber).padStart(2, "0")} ${formatBytes(
+          fs.statSync(localArchive).size
+        )}`,
+        chalk.green
+      );
+    } catch (error) {
+      throw new DeploymentError(
+        `Packaging failed: ${error.stderr || error.message}`,
+        task,
+        stepNumber
+      );
+    }
+  }
+
+  /**
+   * Uploads the tarball over SFTP and displays the progress.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} localArchive - The path of the local tarball
+   * @param {string} remoteArchive - The path of the tarball on the server
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @throws {DeploymentError} Throws custom DeploymentError if the upload fails.
+   */
+  async uploadArchive(
+    conn,
+    localArchive,
+    remoteArchive,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "copy:upload";
+
+    sectionLogger(task, chalk.blue);
+    actionLogger.info(
+      `${String(stepNumber).padStart(
+        2,
+        "0"
+      )} sftp ${localArchive} ${remoteArchive}`,
+      chalk.yellow
+    );
+
+    if (conn.dryRun) {
+      actionLogger.info("skipped (dry run)", chalk.gray);
+      return;
+    }
+
+    try {
+      await new Promise((resolve, reject) => {
+        conn.sftp((err, sftp) => {
+          if (err) return reject(err);
+
+          let lastPercent = -1;
+          const step = (transferred, chunk, total) => {
+            const percent = Math.floor((transferred / total) * 100);
+            if (percent === lastPercent) return;
+            lastPercent = percent;
+            actionLogger.progress(
+              `${String(percent).padStart(3)}% ${formatBytes(
+                transferred
+              )} / ${formatBytes(total)}`
+            );
+          };
+
+          sftp.fastPut(localArchive, remoteArchive, { step }, (err) => {
+            actionLogger.progress();
+            sftp.end();
+            err ? reject(err) : resolve();
           });
-        };
-
-        // Check if the remote repo directory exists
-        sftp.stat(remoteRepoDir, (err, stats) => {
-          if (err && err.code === 2) {
-            // Directory does not exist, create it
-            sftp.mkdir(remoteRepoDir, { recursive: true }, (err) => {
-              if (err) return reject(err);
-
-              // Start copying the repository
-              copyFiles(repoDir, remoteRepoDir, (err) => {
-                if (err) return reject(err);
-
-                actionLogger.info("Repository copied to the VPS.", chalk.green);
-                resolve();
-              });
-            });
-          } else if (err) {
-            // Other errors
-            return reject(err);
-          } else if (stats.isDirectory()) {
-            // Directory exists, no need to create
-            console.log("trying to copy");
-            copyFiles(repoDir, remoteRepoDir, (err) => {
-              if (err) return reject(err);
-
-              actionLogger.info("Repository copied to the VPS.", chalk.green);
-              resolve();
-            });
-          }
         });
       });
-    });
+
+      actionLogger.success(
+        `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+        chalk.green
+      );
+    } catch (error) {
+      throw new DeploymentError(
+        `Upload failed: ${error.message}`,
+        task,
+        stepNumber
+      );
+    }
   }
 
-  async rollback() {
-    /* Rollback logic */
+  /**
+   * Extracts the uploaded tarball into the release directory.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} remoteArchive - The path of the tarball on the server
+   * @param {string} releaseDir - The release directory
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   */
+  async extractArchive(
+    conn,
+    remoteArchive,
+    releaseDir,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "copy:extract";
+    const command = `tar -xzf ${remoteArchive} -C ${releaseDir} && rm -f ${remoteArchive}`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      command,
+      task,
+      stepNumber,
+      connectionMessage
+    );
   }
 }
@@ -1,24 +1,336 @@
 // lib/deployer/RemoteCacheDeployer.js
 
 // Global imports
-import path from "path";
+import chalk from "chalk";
 
 // Local imports
 import { AbstractDeployer } from "./AbstractDeployer.js";
+import DeploymentError from "../errors/DeploymentError.js";
 import { sectionLogger, actionLogger } from "../utils/logger.js";
 import { asyncWrapper } from "../utils/asyncWrapper.js";
+import { shellQuote } from "../utils/shellQuote.js";
 
+/**
+ * Deployer keeping a bare mirror of the repository in the repo directory of the project folder.
+ * Every deployment only fetches the changes into the mirror and exports the branch into the
+ * release directory, so releases do not contain a .git directory.
+ */
 export class RemoteCacheDeployer extends AbstractDeployer {
-  constructor(einsatzInstance) {
-    this.conn = einsatzInstance.conn;
-    this.repoDetails = einsatzInstance.repoDetails;
-    this.projectFolder = einsatzInstance.projectFolder;
-    this.releaseDir = `${einsatzInstance.projectFolder}/releases/${einsatzInstance.revisionTime}`;
+  /**
+   * Updates the mirror and exports the branch into the release directory on all hosts.
+   * The branch is resolved to a commit once, the release and the REVISION file use that commit
+   * even if the mirror is updated meanwhile.
+   *
+   * @returns {Promise<void>} Resolves when the code is in place.
+   */
+  async updateCode() {
+    const { repoUrl, branch } = this.repoDetails;
+
+    // git:update_mirror
+    await this._runTask("git:update_mirror", async (host) => {
+      const mirror = await this.checkMirror(
+        host.conn,
+        this.repoDirectory,
+        1,
+        host.connectionMessage
+      );
+
+      // An interrupted clone leaves a mirror without commits, it is cloned again
+      if (mirror === "broken") {
+        await this.removeMirror(
+          host.conn,
+          this.repoDirectory,
+          2,
+          host.connectionMessage
+        );
+      }
+      mirror === "valid"
+        ? await this.updateMirror(
+            host.conn,
+            this.repoDirectory,
+            2,
+            host.connectionMessage
+          )
+        : await this.cloneMirror(
+            host.conn,
+            repoUrl,
+            this.repoDirectory,
+            2,
+            host.connectionMessage
+          );
+
+      const revision = await this.resolveRevision(
+        host.conn,
+        this.repoDirectory,
+        branch,
+        3,
+        host.connectionMessage
+      );
+
+      // All hosts have to export the same commit
+      if (this.mirrorRevision && revision !== this.mirrorRevision) {
+        throw new DeploymentError(
+          `${host.connectionConfig.host} resolved ${branch} to ${revision}, expected ${this.mirrorRevision}`,
+          "git:update_mirror",
+          3
+        );
+      }
+      this.mirrorRevision = revision;
+    });
+
+    // git:create_release
+    await this._runTask("git:create_release", (host) =>
+      this.createRelease(
+        host.conn,
+        this.repoDirectory,
+        this.mirrorRevision,
+        this.releaseDir,
+        1,
+        host.connectionMessage
+      )
+    );
+  }
+
+  /**
+   * Adds the git installation and the repository access to the preflight checks.
+   *
+   * @param {Object} host - The host to check.
+   * @returns {Object[]} The checks ({ item, command, evaluate }).
+   */
+  preflightChecks(host) {
+    return [...this.repositoryChecks(), ...super.preflightChecks(host)];
+  }
+
+  /**
+   * Checks whether the mirror has been cloned completely, its HEAD has to resolve to a commit.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} repoDirectory - The path to the mirror
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @returns {Promise<string>} "valid", "broken" if the directory holds no usable mirror, or "missing".
+   * @throws {DeploymentError} Throws custom DeploymentError.
+   */
+  async checkMirror(conn, repoDirectory, stepNumber, connectionMessage) {
+    const task = "git:check_mirror";
+    const command = `if git -C ${repoDirectory} rev-parse --verify --quiet HEAD^{commit} >/dev/null 2>&1; then echo valid; elif [ -e ${repoDirectory} ]; then echo broken; else echo missing; fi`;
+
+    sectionLogger(task, chalk.blue);
+    try {
+      actionLogger.info(
+        `${String(stepNumber).padStart(2, "0")} ${command}`,
+        chalk.yellow
+      );
+      const response = await asyncWrapper(conn, command, { readOnly: true });
+      actionLogger.success(
+        `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+        chalk.green
+      );
+
+      return response;
+    } catch (error) {
+      throw new DeploymentError(error.message, task, stepNumber);
+    }
+  }
+
+  /**
+   * Clones the repository as bare mirror.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} repoUrl - URL of the Git repository
+   * @param {string} repoDirectory - The path to the mirror
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   */
+  async cloneMirror(
+    conn,
+    repoUrl,
+    repoDirectory,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "git:clone_mirror";
+    const command = `git clone --mirror ${repoUrl} ${repoDirectory}`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      command,
+      task,
+      stepNumber,
+      connectionMessage
+    );
+  }
+
+  /**
+   * Removes a mirror left incomplete by an interrupted clone.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} repoDirectory - The path to the mirror
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   */
+  async removeMirror(conn, repoDirectory, stepNumber, connectionMessage) {
+    const task = "git:remove_mirror";
+    const command = `rm -rf ${repoDirectory}`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      command,
+      task,
+      stepNumber,
+      connectionMessage
+    );
   }
 
-  async deploy(stepNumber, connectionMessage) {}
+  /**
+   * Fetches all changes of the repository into the mirror.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} repoDirectory - The path to the mirror
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   */
+  async updateMirror(conn, repoDirectory, stepNumber, connectionMessage) {
+    const task = "git:update";
+    const command = `cd ${repoDirectory} && git remote update --prune`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      command,
+      task,
+      stepNumber,
+      connectionMessage
+    );
+  }
+
+  /**
+   * Resolves the branch to the commit it points to in the mirror.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} repoDirectory - The path to the mirror
+   * @param {string} branch - The branch to deploy
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @returns {Promise<string>} The commit hash.
+   * @throws {DeploymentError} Throws custom DeploymentError if the branch does not exist.
+   */
+  async resolveRevision(
+    conn,
+    repoDirectory,
+    branch,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "git:resolve_revision";
+    const command = `git -C ${repoDirectory} rev-parse --verify ${shellQuote(
+      `${branch}^{commit}`
+    )}`;
+
+    sectionLogger(task, chalk.blue);
+    try {
+      actionLogger.info(
+        `${String(stepNumber).padStart(2, "0")} ${command}`,
+        chalk.yellow
+      );
+      const revision = await asyncWrapper(conn, command, {
+        dryRunResponse: "<revision>",
+      });
+      actionLogger.success(
+        `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+        chalk.green
+      );
+
+      return revision;
+    } catch (error) {
+      throw new DeploymentError(error.message, task, stepNumber);
+    }
+  }
+
+  /**
+   * Exports a commit from the mirror into the release directory.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} repoDirectory - The path to the mirror
+   * @param {string} revision - The commit to deploy, resolved by resolveRevision()
+   * @param {string} releaseDir - The release directory
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   */
+  async createRelease(
+    conn,
+    repoDirectory,
+    revision,
+    releaseDir,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "git:create_release";
+    // Archive to a file first, a failing git archive would go unnoticed in a pipe
+    const command = `git -C ${repoDirectory} archive --format=tar --output=${releaseDir}.tar ${revision} && tar -x -f ${releaseDir}.tar -C ${releaseDir} && rm -f ${releaseDir}.tar`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      command,
+      task,
+      stepNumber,
+      connectionMessage
+    );
+  }
+
+  /**
+   * Reads the subject of the deployed commit from the mirror.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} revision - The deployed commit
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @returns {Promise<string>} The commit subject, empty if it cannot be read.
+   */
+  async getCommitSubject(conn, revision, stepNumber, connectionMessage) {
+    const command = `git -C ${
+      this.repoDirectory
+    } log -1 --format=%s ${shellQuote(revision)} 2>/dev/null || true`;
+
+    sectionLogger("git:commit_subject", chalk.blue);
+    actionLogger.info(
+      `${String(stepNumber).padStart(2, "0")} ${command}`,
+      chalk.yellow
+    );
+    // Dry runs know no revision to read the subject of
+    const subject = await asyncWrapper(conn, command, {
+      dryRunResponse: "<subject>",
+    });
+    actionLogger.success(
+      `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+      chalk.green
+    );
+
+    return subject;
+  }
+
+  /**
+   * Writes the commit exported by updateCode() to the REVISION file, the release has no .git directory.
+   *
+   * @param {Client} conn - An established SSH connection
+   * @param {string} releaseDir - The release directory
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @returns {string} Revision.
+   */
+  async setCurrentRevision(conn, releaseDir, stepNumber, connectionMessage) {
+    const task = "deploy:set_current_revision";
+    const revision = this.mirrorRevision;
+
+    const setCurrentRevisionCommand = `echo "${revision}" > ${releaseDir}/REVISION`;
+
+    await AbstractDeployer._runDeploymentStep(
+      conn,
+      setCurrentRevisionCommand,
+      task,
+      stepNumber,
+      connectionMessage
+    );
 
-  async rollback() {
-    /* Rollback logic */
+    return revision;
   }
 }
@@ -1,77 +1,176 @@
 // lib/deployer/RemoteSyncDeployer.js
 
 // Global imports
-import path from "path";
+import chalk from "chalk";
+import execa from "execa";
 
 // Local imports
 import { AbstractDeployer } from "./AbstractDeployer.js";
+import DeploymentError from "../errors/DeploymentError.js";
 import { sectionLogger, actionLogger } from "../utils/logger.js";
-import { asyncWrapper } from "../utils/asyncWrapper.js";
+import { formatBytes } from "../utils/formatBytes.js";
 
+/**
+ * Reads a number from the `--stats` output of rsync (e.g. "Total bytes sent: 1,234").
+ *
+ * @param {string} output - The rsync output.
+ * @param {string} label - The label of the statistic.
+ * @returns {number} The value, 0 if the statistic is missing.
+ */
+const readStat = (output, label) => {
+  const match = output.match(new RegExp(`${label}: ([\\d,.]+)`));
+  return match ? Number(match[1].replace(/[,.]/g, "")) : 0;
+};
+
+/**
+ * Deployer syncing a local directory (e.g. a build output folder) into the release
+ * directory with rsync. Files unchanged since the current release are hard-linked
+ * from it through --link-dest instead of being transferred again.
+ *
+ * rsync connects through the local ssh command, which uses the configured SSH agent.
+ */
 export class RemoteSyncDeployer extends AbstractDeployer {
   constructor(einsatzInstance) {
-    this.conn = einsatzInstance.conn;
-    this.repoDetails = einsatzInstance.repoDetails;
-    this.projectFolder = einsatzInstance.projectFolder;
-    this.releaseDir = `${einsatzInstance.projectFolder}/releases/${einsatzInstance.revisionTime}`;
+    super(einsatzInstance);
+    this.remoteSyncOptions = einsatzInstance.remoteSyncOptions || {}; // { source, exclude }
   }
 
-  async deploy(stepNumber, connectionMessage) {
-    const { repoUrl, branch } = this.repoDetails;
-    console.log("repoUrl", repoUrl);
-    console.log("branch", branch);
-    const tarballUrl = `${repoUrl}/archive/refs/heads/${branch}.tar.gz`;
-    console.log("tarballUrl", tarballUrl);
-    const response = await fetch(tarballUrl);
-
-    sectionLogger("git:download", chalk.blue);
-
-    if (!response.ok) {
-      throw new Error(
-        `Failed to download repository tarball: ${response.statusText}`
+  /**
+   * Syncs the source directory into the release directory on all hosts.
+   *
+   * @returns {Promise<void>} Resolves when the code is in place.
+   * @throws {DeploymentError} Throws custom DeploymentError if no source is configured.
+   */
+  async updateCode() {
+    const { source } = this.remoteSyncOptions;
+    if (!source) {
+      throw new DeploymentError(
+        "remoteSync.source is not configured",
+        "rsync:sync",
+        1
       );
     }
 
-    const tarballPath = path.join(path.__dirname, "repo.tar.gz");
-    const fileStream = fs.createWriteStream(tarballPath);
-    await new Promise((resolve, reject) => {
-      response.body.pipe(fileStream);
-      response.body.on("error", reject);
-      fileStream.on("finish", resolve);
-    });
+    this.localRevision = await this.getLocalRevision("rsync:revision", 1);
 
-    actionLogger.info("Repository downloaded.", chalk.green);
+    // rsync:sync
+    await this._runTask("rsync:sync", (host) =>
+      this.syncRelease(
+        host,
+        source,
+        this.releaseDir,
+        host.previousRelease &&
+          `${this.projectFolder}/releases/${host.previousRelease}`,
+        1,
+        host.connectionMessage
+      )
+    );
+  }
 
-    // Upload tarball to VPS
-    return new Promise((resolve, reject) => {
-      conn.sftp((err, sftp) => {
-        if (err) return reject(err);
+  /**
+   * Adds rsync, which receives the synced files, to the preflight checks.
+   *
+   * @param {Object} host - The host to check.
+   * @returns {Object[]} The checks ({ item, command, evaluate }).
+   */
+  preflightChecks(host) {
+    return [
+      {
+        item: "rsync",
+        command: "rsync --version | head -1",
+        evaluate: (output) => ({ ok: true, detail: output }),
+      },
+      ...super.preflightChecks(host),
+    ];
+  }
+
+  /**
+   * Syncs the source directory into the release directory of a host.
+   *
+   * @param {Object} host - The host to sync to ({ conn, connectionConfig }).
+   * @param {string} source - The local directory to sync.
+   * @param {string} releaseDir - The release directory
+   * @param {string} [linkDest] - The current release, unchanged files are hard-linked from it.
+   * @param {number} stepNumber - The number of the section deployment step.
+   * @param {string} connectionMessage - A string containing the ssh connection details user@ip.
+   * @throws {DeploymentError} Throws custom DeploymentError if rsync fails.
+   */
+  async syncRelease(
+    host,
+    source,
+    releaseDir,
+    linkDest,
+    stepNumber,
+    connectionMessage
+  ) {
+    const task = "rsync:sync";
+    const {
+      host: hostname,
+      port,
+      username,
+      agent,
+      keys = [],
+      jumpHosts = [],
+    } = host.connectionConfig;
+    const { exclude = [] } = this.remoteSyncOptions;
 
-        const remoteTarballPath = `${releaseDir}/repo.tar.gz`;
-        const readStream = fs.createReadStream(tarballPath);
-        const writeStream = sftp.createWriteStream(remoteTarballPath);
+    const args = [
+      "-az",
+      "--stats",
+      "-e",
+      `ssh -o BatchMode=yes${port ? ` -p ${port}` : ""}${keys
+        .map((key) => ` -i ${key}`)
+        .join("")}${
+        jumpHosts.length
+          ? ` -J ${jumpHosts
+              .map((jump) => `${jump.username}@${jump.host}:${jump.port}`)
+              .join(",")}`
+          : ""
+      }`,
+      ...(linkDest ? [`--link-dest=${linkDest}`] : []),
+      ...exclude.map((pattern) => `--exclude=${pattern}`),
+      `${source.replace(/\/$/, "")}/`,
+      `${username}@${hostname}:${releaseDir}/`,
+    ];
 
-        writeStream.on("close", () => {
-          actionLogger.info("Tarball uploaded.", chalk.green);
+    sectionLogger(task, chalk.blue);
+    actionLogger.info(
+      `${String(stepNumber).padStart(2, "0")} rsync ${args
+        .map((arg) => (arg.includes(" ") ? `"${arg}"` : arg))
+        .join(" ")}`,
+      chalk.yellow
+    );
 
-          // Extract tarball on VPS
-          conn.exec(
-            `cd ${releaseDir} && tar -xzf repo.tar.gz && rm repo.tar.gz`,
-            (err) => {
-              if (err) return reject(err);
-              actionLogger.info("Tarball extracted.", chalk.green);
-              resolve();
-            }
-          );
-        });
+    if (host.conn.dryRun) {
+      actionLogger.info("skipped (dry run)", chalk.gray);
+      return;
+    }
 
-        writeStream.on("error", reject);
-        readStream.pipe(writeStream);
+    try {
+      const { stdout } = await execa("rsync", args, {
+        env: agent ? { SSH_AUTH_SOCK: agent } : {},
       });
-    });
-  }
 
-  async rollback() {
-    /* Rollback logic */
+      const files = readStat(stdout, "Number of regular files transferred");
+      const totalSize = readStat(stdout, "Total file size");
+      const transferredSize = readStat(stdout, "Total transferred file size");
+      const sent = readStat(stdout, "Total bytes sent");
+
+      actionLogger.info(
+        `${files} files transferred, ${formatBytes(
+          transferredSize
+        )} of ${formatBytes(totalSize)} changed, ${formatBytes(sent)} sent`
+      );
+      actionLogger.success(
+        `${String(stepNumber).padStart(2, "0")} ${connectionMessage}`,
+        chalk.green
+      );
+    } catch (error) {
+      throw new DeploymentError(
+        `rsync failed: ${error.stderr || error.message}`,
+        task,
+        stepNumber
+      );
+    }
   }
 }
@@ -0,0 +1,12 @@
+// lib/errors/ConfigError.js
+
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = "ConfigError";
+    this.problems = problems; // [{ key, message, suggestion }] of an invalid configuration
+    this.timestamp = new Date(); // Adding a timestamp for logging purposes
+  }
+}
+
+export default ConfigError;
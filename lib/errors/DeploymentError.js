@@ -1,11 +1,12 @@
 // lib/errors/DeploymentError.js
 
 class DeploymentError extends Error {
-  constructor(message, task, step) {
+  constructor(message, task, step, serverState) {
     super(message);
     this.name = "DeploymentError";
     this.task = task; // Task where the error occurred
     this.step = step; // Step where the error occurred
+    this.serverState = serverState; // What the servers were left with, if the task was interrupted
     this.timestamp = new Date(); // Adding a timestamp for logging purposes
   }
 }
@@ -0,0 +1,13 @@
+// lib/errors/LockError.js
+
+class LockError extends Error {
+  constructor(message, lock, host) {
+    super(message);
+    this.name = "LockError";
+    this.lock = lock; // Details of the lock holder as stored in the lock file
+    this.host = host; // Host the lock was found on
+    this.timestamp = new Date(); // Adding a timestamp for logging purposes
+  }
+}
+
+export default LockError;
@@ -1,44 +1,213 @@
 // lib/utils/asyncWrapper.js
 
+// Global imports
+import chalk from "chalk";
+
 // Local imports
+import SSHError from "../errors/SSHError.js";
 import { actionLogger } from "./logger.js";
+import { shellQuote } from "./shellQuote.js";
+
+/**
+ * Seconds `timeout` waits after TERM before it kills the command.
+ */
+const killAfter = 10;
+
+/**
+ * Seconds the local watchdog waits beyond the timeout, e.g. for a server that stopped answering.
+ */
+const watchdogGrace = 15;
+
+/**
+ * Prints "yes" if the server provides a `timeout` supporting -k, like GNU coreutils and
+ * recent busybox. macOS and older busybox lack it.
+ */
+const timeoutCheck = "timeout -k 1 5 true 2>/dev/null && echo yes || true";
+
+/**
+ * Wraps a command in `timeout`, which kills it on the server once the timeout is reached.
+ * The command keeps running in the login shell of the user, like commands run by sshd.
+ *
+ * @param {string} command - The command to be run.
+ * @param {number} timeout - The timeout in seconds.
+ * @returns {string} The wrapped command.
+ */
+const withTimeout = (command, timeout) =>
+  `timeout -k ${killAfter} ${timeout} "\${SHELL:-/bin/sh}" -c ${shellQuote(
+    command
+  )}`;
+
+/**
+ * Checks whether the server of a connection provides `timeout`, see timeoutCheck.
+ *
+ * @param {Client} conn - An established SSH connection.
+ * @returns {Promise<void>} Resolves when `conn.timeoutSupported` is set.
+ */
+const detectTimeout = async (conn) => {
+  const output = await asyncWrapper(conn, timeoutCheck, {
+    readOnly: true,
+    quiet: true,
+    timeout: 0,
+  });
+  conn.timeoutSupported = output === "yes";
+  if (!conn.timeoutSupported) {
+    actionLogger.warning(
+      `timeout is not installed on ${conn.hostName}, commands exceeding their timeout are abandoned but keep running on the server`
+    );
+  }
+};
+
+/**
+ * Runs a command over an SSH connection.
+ *
+ * On connections flagged with `dryRun` only read-only commands are executed,
+ * all other commands are skipped and resolve with `dryRunResponse`.
+ * The output is emitted as command:stdout and command:stderr events on `conn.events`,
+ * the Einsatz instance owning the connection.
+ *
+ * Commands are killed on the server after `timeout` seconds, which defaults to the
+ * `commandTimeout` of the connection set for the current task. Whether the server provides
+ * `timeout` is checked once per connection, without it commands are only abandoned by the
+ * local watchdog. If the connection closes while the command runs, the command fails with
+ * an SSHError and `conn.closed` is set. Commands changing the server record their process
+ * group in `conn.pidFile` if it is set, so a retry can stop a command left running by a lost
+ * connection.
+ *
+ * @param {Client} conn - An established SSH connection.
+ * @param {string} command - The command to be run.
+ * @param {Object} [options] - Command options.
+ * @param {boolean} [options.readOnly=false] - Marks commands which do not change the server, they also run in dry runs.
+ * @param {string} [options.dryRunResponse=""] - The output a skipped command resolves with in dry runs.
+ * @param {boolean} [options.logStderr=false] - Prints all stderr output, not only lines mentioning errors.
+ * @param {boolean} [options.quiet=false] - Does not print stdout, e.g. for output parsed by the caller.
+ * @param {number} [options.timeout] - Seconds the command may run, 0 waits forever.
+ * @returns {Promise<string>} Resolves with the trimmed stdout of the command.
+ * @throws {SSHError} Throws if the connection is lost.
+ */
+export const asyncWrapper = (conn, command, options = {}) => {
+  const {
+    readOnly = false,
+    dryRunResponse = "",
+    logStderr = false,
+    quiet = false,
+    timeout = conn.commandTimeout,
+  } = options;
+
+  if (conn.dryRun && !readOnly) {
+    actionLogger.info("skipped (dry run)", chalk.gray);
+    return Promise.resolve(dryRunResponse);
+  }
+
+  const connectionLost = () =>
+    new SSHError(
+      `SSH connection to ${conn.hostName} lost while running: ${command}`,
+      conn.connectionConfig || { host: conn.hostName },
+      new Error("Connection lost")
+    );
+  if (conn.closed) {
+    return Promise.reject(connectionLost());
+  }
+
+  if (timeout && conn.timeoutSupported === undefined) {
+    return detectTimeout(conn).then(() => asyncWrapper(conn, command, options));
+  }
+  let remoteCommand =
+    timeout && conn.timeoutSupported ? withTimeout(command, timeout) : command;
+  if (conn.pidFile && !readOnly) {
+    // sshd starts commands without a pty in a new session, timeout in a new process group
+    remoteCommand = `echo $$ > ${conn.pidFile} 2>/dev/null; exec ${
+      remoteCommand === command
+        ? `"\${SHELL:-/bin/sh}" -c ${shellQuote(command)}`
+        : remoteCommand
+    }`;
+  }
 
-export const asyncWrapper = (conn, command) => {
   return new Promise((resolve, reject) => {
-    conn.exec(command, (err, stream) => {
+    let watchdog;
+    const onClose = () => {
+      clearTimeout(watchdog);
+      reject(connectionLost());
+    };
+    const settle = (callback, value) => {
+      clearTimeout(watchdog);
+      conn.removeListener("close", onClose);
+      callback(value);
+    };
+    // Commands still running when the connection drops never close their stream
+    conn.once("close", onClose);
+
+    conn.exec(remoteCommand, (err, stream) => {
       if (err) {
-        reject(new Error(`Command failed: ${err.message}`));
+        settle(reject, new Error(`Command failed: ${err.message}`));
         return;
       }
 
+      const startedAt = Date.now();
       let stdoutData = "";
       let stderrData = "";
+      const emit = (event, data) =>
+        conn.events?.emit(event, { host: conn.hostName, command, data });
+
+      // The server stopped answering before timeout killed the command
+      if (timeout) {
+        watchdog = setTimeout(() => {
+          stream.close();
+          settle(
+            reject,
+            new Error(`Command timed out after ${timeout}s: ${command}`)
+          );
+        }, (timeout + killAfter + watchdogGrace) * 1000);
+      }
 
       // Handle standard output (stdout)
       stream.on("data", (data) => {
         const output = data.toString();
         stdoutData += output;
-        actionLogger.info(output); // Print stdout in real-time
+        emit("command:stdout", output);
+        if (!quiet) {
+          // Print stdout in real-time
+          actionLogger.output(output, { command, host: conn.hostName });
+        }
       });
 
       // Handle standard error (stderr)
       stream.stderr.on("data", (data) => {
         const errorOutput = data.toString();
         stderrData += errorOutput;
+        emit("command:stderr", errorOutput);
 
-        if (errorOutput.toLowerCase().includes("error")) {
-          actionLogger.error(errorOutput); // Treat as error if it mentions 'error'
-        }
+        // Errors are always printed, other output like the progress of git clone only with logStderr
+        actionLogger.output(errorOutput, {
+          stream: "stderr",
+          command,
+          host: conn.hostName,
+          display: logStderr,
+        });
       });
 
       // Handle stream closure
       stream.on("close", (code) => {
-        if (code !== 0) {
-          reject(
+        if (code === undefined) {
+          // Closed without exit status, the connection went away
+          settle(reject, connectionLost());
+        } else if (
+          timeout &&
+          (code === 124 || code === 137) &&
+          Date.now() - startedAt >= timeout * 1000
+        ) {
+          // 124: terminated by timeout, 137: killed after the grace period, or e.g. by
+          // the OOM killer before the timeout was reached
+          settle(
+            reject,
+            new Error(`Command timed out after ${timeout}s: ${command}`)
+          );
+        } else if (code !== 0) {
+          settle(
+            reject,
             new Error(`Command failed with code ${code}: ${stderrData.trim()}`)
           );
         } else {
-          resolve(stdoutData.trim());
+          settle(resolve, stdoutData.trim());
         }
       });
     });
@@ -0,0 +1,49 @@
+// lib/utils/didYouMean.js
+
+/**
+ * Computes the Levenshtein distance between two strings.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The number of edits turning a into b.
+ */
+const distance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Finds the candidate closest to a mistyped value, e.g. "deployVai" -> "deployVia".
+ * Case differences count as a single edit.
+ *
+ * @param {string} value - The mistyped value.
+ * @param {string[]} candidates - The valid values.
+ * @returns {string|null} The closest candidate, null if none is close enough.
+ */
+export const didYouMean = (value, candidates) => {
+  const input = String(value);
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(input.length / 3)) + 1;
+
+  for (const candidate of candidates) {
+    const caseless = input.toLowerCase() === candidate.toLowerCase();
+    const score = caseless ? 1 : distance(input, candidate);
+    if (score < bestDistance) {
+      best = candidate;
+      bestDistance = score;
+    }
+  }
+
+  return best;
+};
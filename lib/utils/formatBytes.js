@@ -0,0 +1,18 @@
+// lib/utils/formatBytes.js
+
+/**
+ * Formats a byte count for progress and summary output.
+ *
+ * @param {number} bytes - The byte count.
+ * @returns {string} The formatted size (e.g. 1.5 MB).
+ */
+export const formatBytes = (bytes) => {
+  const units = ["B", "KB", "MB", "GB"];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+};
@@ -5,8 +5,11 @@ import chalk from "chalk";
 
 // Local imports
 import { actionLogger } from "./logger.js";
-import SSHError from "../errors/DeploymentError.js";
+import SSHError from "../errors/SSHError.js";
 import DeploymentError from "../errors/DeploymentError.js";
+import LockError from "../errors/LockError.js";
+import ConfigError from "../errors/ConfigError.js";
+import { formatProblem } from "./validateConfig.js";
 
 export function handleError(error) {
   if (error instanceof DeploymentError) {
@@ -14,12 +17,25 @@ export function handleError(error) {
       `Deployment failed for task ${error.task} at step '${error.step}': ${error.message}`,
       chalk.red
     );
+    (error.serverState || []).forEach((state) =>
+      actionLogger.error(`Server state: ${state}`, chalk.red)
+    );
   } else if (error instanceof SSHError) {
     actionLogger.error(`Message: ${error.message}`, chalk.red);
     actionLogger.error(`Host: ${error.host}`, chalk.red);
     actionLogger.error(`Username: ${error.username}`, chalk.red);
     actionLogger.error(`Port: ${error.port}`, chalk.red);
     actionLogger.error(`Timestamp: ${error.timestamp}`, chalk.red);
+  } else if (error instanceof LockError) {
+    actionLogger.error(`Deployment locked on ${error.host}`, chalk.red);
+    actionLogger.error(
+      "Run 'einsatz lock:status' to inspect and 'einsatz unlock --force' to remove a stale lock.",
+      chalk.red
+    );
+  } else if (error instanceof ConfigError) {
+    error.problems.forEach((problem) =>
+      actionLogger.error(formatProblem(problem), chalk.red)
+    );
   }
   if (error.stdout) {
     // Handle errors with command output
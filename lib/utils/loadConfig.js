@@ -0,0 +1,146 @@
+// lib/utils/loadConfig.js
+
+// Global imports
+import { promises as fs } from "fs";
+import path from "path";
+
+// Local imports
+import ConfigError from "../errors/ConfigError.js";
+import { didYouMean } from "./didYouMean.js";
+
+/**
+ * Checks whether a value is a plain object (and not an array, function or null).
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a plain object.
+ */
+const isPlainObject = (value) =>
+  Object.prototype.toString.call(value) === "[object Object]";
+
+/**
+ * Merges the stage configuration into the base configuration.
+ * Nested plain objects (e.g. sshOptions) are merged key by key, all other values
+ * (including arrays) of the stage configuration replace the base values.
+ *
+ * @param {Object} base - The shared base configuration.
+ * @param {Object} override - The stage specific configuration.
+ * @returns {Object} The merged configuration.
+ */
+export const mergeConfig = (base, override) => {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? mergeConfig(base[key], value)
+        : value;
+  }
+
+  return merged;
+};
+
+/**
+ * Imports the default export of a configuration file.
+ *
+ * @param {string} filePath - The absolute path to the configuration file.
+ * @returns {Promise<Object>} The configuration object.
+ */
+const importConfig = async (filePath) => {
+  return (await import(`file://${filePath}`)).default || {};
+};
+
+/**
+ * Lists all stages available in the config/deploy directory.
+ *
+ * @param {string} [cwd=process.cwd()] - The project directory.
+ * @returns {Promise<string[]>} The stage names.
+ */
+export async function listStages(cwd = process.cwd()) {
+  const stagesDir = path.resolve(cwd, "config", "deploy");
+
+  try {
+    const files = await fs.readdir(stagesDir);
+    return files
+      .filter((file) => file.endsWith(".js"))
+      .map((file) => path.basename(file, ".js"))
+      .sort();
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Loads the deploy configuration for a stage.
+ *
+ * Steps:
+ * 1. Imports the shared base configuration from config/deploy.js.
+ * 2. Resolves the stage from the argument or the `stage` field of the base configuration.
+ * 3. Imports config/deploy/<stage>.js and merges it over the base configuration.
+ *
+ * A stage passed explicitly has to exist, a stage taken from the base configuration
+ * is optional to keep single file setups working.
+ *
+ * @param {string} [stage] - The stage to load (e.g. staging, production).
+ * @param {string} [cwd=process.cwd()] - The project directory.
+ * @returns {Promise<Object>} The merged configuration including the resolved stage.
+ * @throws {ConfigError} Throws if the base configuration or a requested stage cannot be loaded.
+ */
+export async function loadDeployConfig(stage, cwd = process.cwd()) {
+  const baseConfigPath = path.resolve(cwd, "config", "deploy.js");
+
+  let baseConfig;
+  try {
+    baseConfig = await importConfig(baseConfigPath);
+  } catch (error) {
+    throw new ConfigError(
+      `Error loading deploy configuration from ${baseConfigPath}: ${error.message}`
+    );
+  }
+
+  const stageName = stage || baseConfig.stage;
+  if (!stageName) {
+    return baseConfig;
+  }
+
+  const stageConfigPath = path.resolve(
+    cwd,
+    "config",
+    "deploy",
+    `${stageName}.js`
+  );
+
+  try {
+    await fs.access(stageConfigPath);
+  } catch (error) {
+    if (!stage) {
+      // The stage was only taken from the base configuration
+      return { ...baseConfig, stage: stageName };
+    }
+
+    const stages = await listStages(cwd);
+    const closest = didYouMean(stageName, stages);
+    throw new ConfigError(
+      `Unknown stage '${stageName}', expected ${stageConfigPath}. Available stages: ${
+        stages.length ? stages.join(", ") : "none"
+      }`,
+      [
+        {
+          key: "stage",
+          message: `unknown stage '${stageName}'`,
+          suggestion: closest ? `did you mean '${closest}'?` : undefined,
+        },
+      ]
+    );
+  }
+
+  let stageConfig;
+  try {
+    stageConfig = await importConfig(stageConfigPath);
+  } catch (error) {
+    throw new ConfigError(
+      `Error loading stage configuration from ${stageConfigPath}: ${error.message}`
+    );
+  }
+
+  return { ...mergeConfig(baseConfig, stageConfig), stage: stageName };
+}
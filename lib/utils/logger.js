@@ -17,15 +17,142 @@ const formatTime = () => {
   )}`;
 };
 
+/**
+ * Quiet mode suppresses section, info and success messages and moves warnings and
+ * errors to stderr, e.g. while printing JSON for scripts on stdout.
+ */
+let quiet = false;
+export const setQuiet = (value) => {
+  quiet = Boolean(value);
+};
+
+/**
+ * Silent mode suppresses all messages, e.g. when Einsatz is driven from Node and
+ * the progress is only taken from its events.
+ */
+let silent = false;
+export const setSilent = (value) => {
+  silent = Boolean(value);
+};
+export const isSilent = () => silent;
+
+/**
+ * Output format, either "text" (coloured and indented) or "json" (one JSON object per line).
+ * The JSON output carries the current section and counts the levels for the summary.
+ */
+let outputFormat = "text";
+let currentSection = null;
+const levelCounts = {};
+
+export const setOutputFormat = (format) => {
+  if (!["text", "json"].includes(format)) {
+    throw new Error(`Unknown output format '${format}', expected text or json`);
+  }
+  outputFormat = format;
+};
+export const isJsonOutput = () => outputFormat === "json";
+
+/**
+ * Transcript of the current run. While a transcript is recorded every message is
+ * collected with its timestamp, regardless of the output format, quiet or silent mode.
+ */
+let transcript = null;
+
+export const startTranscript = () => {
+  transcript = [];
+};
+
+/**
+ * Stops recording and returns the transcript.
+ *
+ * @returns {string} The recorded lines.
+ */
+export const stopTranscript = () => {
+  const lines = transcript || [];
+  transcript = null;
+  return lines.length ? `${lines.join("\n")}\n` : "";
+};
+
+/**
+ * Appends a message to the transcript, if one is recorded.
+ *
+ * @param {string} level - The level of the message (section, info, stdout, ...).
+ * @param {string} message - The message, multi-line messages are recorded line by line.
+ */
+export const transcriptLogger = (level, message) => {
+  if (!transcript) return;
+  const time = new Date().toISOString();
+  String(message)
+    .replace(/\n$/, "")
+    .split("\n")
+    .forEach((line) => transcript.push(`${time} ${level.padEnd(7)} ${line}`));
+};
+
+/**
+ * Writes a JSON line. Messages of deployment steps ("01 <command>") are split into
+ * the step number and the command or host.
+ *
+ * @param {string} level - The level (section, info, success, warning, error, stdout, stderr, summary).
+ * @param {Object} fields - The fields of the record.
+ */
+const writeJson = (level, fields) => {
+  levelCounts[level] = (levelCounts[level] || 0) + 1;
+
+  const record = {
+    time: new Date().toISOString(),
+    elapsed: Math.round(performance.now() - startTime),
+    level,
+    section: currentSection,
+    ...fields,
+  };
+  process.stdout.write(`${JSON.stringify(record)}\n`);
+};
+
+/**
+ * Splits a step message ("01 git clone ...") into its step number and text.
+ *
+ * @param {string} message - The logged message.
+ * @returns {Object} { step, text }, step is null for messages without step number.
+ */
+const parseStep = (message) => {
+  const match = String(message).match(/^(\d{2}) ([\s\S]*)$/);
+  return match
+    ? { step: Number(match[1]), text: match[2] }
+    : { step: null, text: String(message) };
+};
+
+/**
+ * Whether the current line shows progress, see actionLogger.progress().
+ */
+let progressShown = false;
+
 /**
  * Utility function to log messages with color and timestamps
  */
 export const sectionLogger = (message, color = chalk.blue) => {
+  transcriptLogger("section", message);
+  if (silent) return;
+  if (outputFormat === "json") {
+    currentSection = message;
+    return writeJson("section", {});
+  }
+  if (quiet) return;
   console.log(`${formatTime()} ${color(message)}`);
 };
 export const actionLogger = {
   // Info logger: Indents each line of the message
   info: (message, color = chalk.white) => {
+    transcriptLogger("info", message);
+    if (silent) return;
+    if (outputFormat === "json") {
+      const { step, text } = parseStep(message);
+      // Step messages announce the command of the step
+      return writeJson(
+        "info",
+        step ? { step, command: text } : { message: text }
+      );
+    }
+    if (quiet) return;
     const lines = message.split("\n");
     lines.forEach((line) => {
       console.log(`      ${color(line)}`);
@@ -34,16 +161,79 @@ export const actionLogger = {
 
   // Success logger: Adds a checkmark and custom indentation
   success: (message, color = chalk.green) => {
+    transcriptLogger("success", message);
+    if (silent) return;
+    if (outputFormat === "json") {
+      const { step, text } = parseStep(message);
+      return writeJson("success", { step, message: text });
+    }
+    if (quiet) return;
     console.log(`    ${color(`✔ ${message}`)}`);
   },
 
   // Warning logger: Adds a cross and custom indentation
-  warning: (message, color = chalk.orange) => {
-    console.log(`    ${color(`x ${message}`)}`);
+  warning: (message, color = chalk.yellow) => {
+    transcriptLogger("warning", message);
+    if (silent) return;
+    if (outputFormat === "json") {
+      return writeJson("warning", { message });
+    }
+    (quiet ? console.error : console.log)(`    ${color(`x ${message}`)}`);
   },
 
   // Error logger: Adds a cross and custom indentation
   error: (message, color = chalk.red) => {
-    console.log(`    ${color(`x ${message}`)}`);
+    transcriptLogger("error", message);
+    if (silent) return;
+    if (outputFormat === "json") {
+      return writeJson("error", { message });
+    }
+    (quiet ? console.error : console.log)(`    ${color(`x ${message}`)}`);
+  },
+
+  // Progress logger: Rewrites the current line on terminals, a call without message ends
+  // the line. Progress is not recorded and left out of the JSON output.
+  progress: (message, color = chalk.white) => {
+    if (silent || quiet || outputFormat === "json" || !process.stdout.isTTY) {
+      return;
+    }
+    if (message === undefined) {
+      if (progressShown) process.stdout.write("\n");
+      progressShown = false;
+      return;
+    }
+    progressShown = true;
+    process.stdout.write(`\r      ${color(message)}`);
   },
+
+  // Output logger: Prints a chunk of command output, stderr chunks only if they mention
+  // errors or `display` is set. The JSON output contains every chunk.
+  output: (data, { stream = "stdout", command, host, display = true } = {}) => {
+    transcriptLogger(stream, data);
+    if (silent) return;
+    if (outputFormat === "json") {
+      return writeJson(stream, { command, host, data });
+    }
+
+    // The chunk is already part of the transcript
+    const recording = transcript;
+    transcript = null;
+    if (stream === "stderr" && data.toLowerCase().includes("error")) {
+      actionLogger.error(data); // Treat as error if it mentions 'error'
+    } else if (display) {
+      actionLogger.info(data);
+    }
+    transcript = recording;
+  },
+};
+
+/**
+ * Closes the JSON output with a summary of the run. Does nothing in text output.
+ *
+ * @param {Object} fields - The outcome of the run (e.g. command, status, result).
+ */
+export const summaryLogger = (fields) => {
+  if (silent || outputFormat !== "json") return;
+  const counts = { ...levelCounts };
+  writeJson("summary", { ...fields, counts });
 };
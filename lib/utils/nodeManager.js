@@ -0,0 +1,179 @@
+// lib/utils/nodeManager.js
+
+// Global imports
+import fs from "fs";
+import path from "path";
+
+// Local imports
+import { shellQuote } from "./shellQuote.js";
+
+/**
+ * Node version managers Einsatz can run remote commands with, in the order they are detected.
+ * `system` uses the node found on the PATH of the SSH session.
+ */
+export const nodeManagers = ["nvm", "fnm", "volta", "asdf", "system"];
+
+/**
+ * Shell snippets printing "<manager> <location>" if the manager is installed. Non-interactive
+ * SSH sessions do not load the shell profile, so the default install locations are searched.
+ */
+const managerLocations = {
+  nvm: `d="\${NVM_DIR:-$HOME/.nvm}"; [ -s "$d/nvm.sh" ] && echo "nvm $d"`,
+  fnm: `f=$(command -v fnm || ls "\${FNM_DIR:-$HOME/.local/share/fnm}/fnm" "$HOME/.fnm/fnm" "$HOME/.cargo/bin/fnm" 2>/dev/null | head -1); [ -n "$f" ] && echo "fnm $f"`,
+  volta: `d="\${VOLTA_HOME:-$HOME/.volta}"; [ -x "$d/bin/volta" ] && echo "volta $d"`,
+  asdf: `d="\${ASDF_DATA_DIR:-$HOME/.asdf}"; [ -d "$d/shims" ] && echo "asdf $d"`,
+  system: `command -v node >/dev/null && echo "system $(command -v node)"`,
+};
+
+/**
+ * Builds the read-only command detecting the node manager and the shell of a server.
+ * It runs in sh, the login shell of the user may not be POSIX compatible.
+ *
+ * @param {string} [nodeManager] - The configured manager, all managers are tried if unset.
+ * @returns {string} The command, printing the manager and its location in the first line
+ * and the shell in the second.
+ */
+export const detectNodeManagerCommand = (nodeManager) => {
+  const candidates = nodeManager ? [nodeManager] : nodeManagers;
+  const detect = candidates
+    .map((manager) => `{ ${managerLocations[manager]}; }`)
+    .join(" || ");
+  const script = `(${detect}) || echo none; command -v bash || command -v zsh || echo /bin/sh`;
+  return `sh -c ${shellQuote(script)}`;
+};
+
+/**
+ * Parses the output of detectNodeManagerCommand().
+ *
+ * @param {string} output - The output of the command.
+ * @param {string} [nodeVersion] - The node version to use.
+ * @returns {Object} The node environment ({ manager, location, shell, version }), manager is
+ * null if none was found.
+ */
+export const parseNodeManager = (output, nodeVersion) => {
+  const [managerLine = "", shell = "/bin/sh"] = output.trim().split("\n");
+  const [manager, ...location] = managerLine.trim().split(" ");
+
+  return {
+    manager: nodeManagers.includes(manager) ? manager : null,
+    location: location.join(" "),
+    shell: shell.trim(),
+    version: nodeVersion ? String(nodeVersion).replace(/^v/, "") : undefined,
+  };
+};
+
+/**
+ * Wraps a remote command, so node, npm and npx are taken from the node manager in the
+ * configured version. Commands run unchanged with the system node or without a manager.
+ *
+ * @param {Object} nodeEnv - The node environment, see parseNodeManager().
+ * @param {string} command - The command to wrap.
+ * @returns {string} The wrapped command.
+ */
+export const withNode = (nodeEnv, command) => {
+  const { manager, location, shell, version } = nodeEnv || {};
+
+  // Statements run before the command, a failing statement stops the command
+  let setup;
+  switch (manager) {
+    case "nvm":
+      // Sourcing nvm.sh fails without a default version, only nvm use is checked
+      setup = [
+        `. "${location}/nvm.sh"`,
+        ...(version
+          ? [`nvm use --silent ${version} >/dev/null || exit 1`]
+          : []),
+      ];
+      break;
+    case "fnm":
+      setup = [
+        `eval "$("${location}" env --shell ${
+          path.basename(shell) === "zsh" ? "zsh" : "bash"
+        })" || exit 1`,
+        ...(version
+          ? [`"${location}" use --silent-if-unchanged ${version} || exit 1`]
+          : []),
+      ];
+      break;
+    case "volta":
+      setup = [`export VOLTA_HOME="${location}" PATH="${location}/bin:$PATH"`];
+      // volta selects the version for a single command, which runs the command in a shell again
+      if (version) {
+        command = `exec volta run --node ${version} ${shell} -c ${shellQuote(
+          command
+        )}`;
+      }
+      break;
+    case "asdf":
+      setup = [
+        `export PATH="${location}/shims:${location}/bin:$PATH"${
+          version ? ` ASDF_NODEJS_VERSION=${version}` : ""
+        }`,
+      ];
+      break;
+    default:
+      return command;
+  }
+  const script = [...setup, command].join("; ");
+
+  return `${shell} -c ${shellQuote(script)}`;
+};
+
+/**
+ * Reads the node version of the local project from .nvmrc or the engines field of package.json.
+ * Ranges are reduced to the version they start with (^20.11.0 uses 20, ~20.11.0 uses 20.11),
+ * ranges without a single start version (>=18, 18 || 20) are ignored.
+ *
+ * @param {string} [cwd=process.cwd()] - The project directory.
+ * @returns {Object|undefined} The version and the file it was read from ({ version, source }).
+ */
+export const readProjectNodeVersion = (cwd = process.cwd()) => {
+  const nvmrc = path.join(cwd, ".nvmrc");
+  if (fs.existsSync(nvmrc)) {
+    const version = fs.readFileSync(nvmrc, "utf8").trim().replace(/^v/, "");
+    if (version) {
+      return { version, source: ".nvmrc" };
+    }
+  }
+
+  const packageJson = path.join(cwd, "package.json");
+  if (fs.existsSync(packageJson)) {
+    let engines;
+    try {
+      engines = JSON.parse(fs.readFileSync(packageJson, "utf8")).engines;
+    } catch (error) {
+      return undefined;
+    }
+    const match = String(engines?.node || "")
+      .trim()
+      .match(/^([\^~]|=|v)?(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?$/);
+    if (match) {
+      const [, operator, major, minor, patch] = match;
+      const parts = [major, minor, patch].filter((part) => /^\d+$/.test(part));
+      const precision =
+        operator === "^" ? 1 : operator === "~" ? 2 : parts.length;
+      return {
+        version: parts.slice(0, precision).join("."),
+        source: "package.json engines",
+      };
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Checks whether the output of `node --version` matches the configured version, which may
+ * be partial (20 matches v20.11.1). Aliases like lts/iron cannot be compared and always match.
+ *
+ * @param {string} actual - The installed version (e.g. v20.11.1).
+ * @param {string} [expected] - The configured version.
+ * @returns {boolean} True if the versions match or no version is configured.
+ */
+export const matchesNodeVersion = (actual, expected) => {
+  const version = String(expected || "").replace(/^v/, "");
+  if (!/^\d+(\.\d+){0,2}$/.test(version)) {
+    return true;
+  }
+  return actual === `v${version}` || actual.startsWith(`v${version}.`);
+};
@@ -0,0 +1,154 @@
+// lib/utils/packageManager.js
+
+// Local imports
+import { shellQuote } from "./shellQuote.js";
+
+/**
+ * Package managers Einsatz installs dependencies with.
+ */
+export const packageManagers = ["npm", "pnpm", "yarn"];
+
+/**
+ * Lockfiles of the package managers, in the order they are detected.
+ */
+const lockfiles = {
+  "package-lock.json": "npm",
+  "npm-shrinkwrap.json": "npm",
+  "pnpm-lock.yaml": "pnpm",
+  "yarn.lock": "yarn",
+};
+
+/**
+ * File in the release recording the hash of its installed dependencies.
+ */
+export const dependencyStampFile = ".einsatz-dependencies";
+
+/**
+ * Installs failing instead of updating the lockfile, Yarn 2+ uses --immutable instead.
+ */
+const frozenInstalls = {
+  npm: "npm ci",
+  pnpm: "pnpm install --frozen-lockfile",
+  yarn: "yarn install --frozen-lockfile",
+};
+
+/**
+ * Flags leaving out the devDependencies.
+ */
+const productionFlags = {
+  npm: "--omit=dev",
+  pnpm: "--prod",
+  yarn: "--production",
+};
+
+/**
+ * Flags keeping the cache of the package managers in a given directory.
+ * Yarn 2+ is configured through its environment, see installCommand().
+ */
+const cacheFlags = {
+  npm: "--cache",
+  pnpm: "--store-dir",
+  yarn: "--cache-folder",
+};
+
+/**
+ * Builds the read-only command listing the lockfiles of a release. Yarn 2 and later
+ * are recognized by their .yarnrc.yml.
+ *
+ * @param {string} releaseDir - The release directory.
+ * @returns {string} The command, printing one file per line.
+ */
+export const listLockfilesCommand = (releaseDir) =>
+  `cd ${releaseDir} && ls -1 ${[...Object.keys(lockfiles), ".yarnrc.yml"].join(
+    " "
+  )} 2>/dev/null || true`;
+
+/**
+ * Selects the package manager of a release from the configured packageManager or its lockfile.
+ *
+ * @param {string} output - The output of listLockfilesCommand().
+ * @param {string} [packageManager] - The configured package manager.
+ * @returns {Object} { name, lockfile, berry }, lockfile is null if the release has none of the manager.
+ */
+export const detectPackageManager = (output, packageManager) => {
+  const files = output.split("\n").map((file) => file.trim());
+  const lockfile =
+    Object.keys(lockfiles).find(
+      (file) =>
+        files.includes(file) &&
+        (!packageManager || lockfiles[file] === packageManager)
+    ) || null;
+
+  return {
+    name: packageManager || (lockfile ? lockfiles[lockfile] : "npm"),
+    lockfile,
+    berry: files.includes(".yarnrc.yml"), // Yarn 2+, which replaced --frozen-lockfile by --immutable
+  };
+};
+
+/**
+ * Builds the install command of a package manager. With a lockfile the install fails
+ * instead of updating it, production installs leave out the devDependencies.
+ *
+ * @param {Object} packageManager - The package manager, see detectPackageManager().
+ * @param {Object} [options] - The install options.
+ * @param {boolean} [options.production=true] - Installs the dependencies without devDependencies.
+ * @param {string[]} [options.flags=[]] - Further flags passed to the install.
+ * @param {string} [options.cacheDir] - The cache directory of the package manager.
+ * @returns {string} The install command.
+ */
+export const installCommand = (
+  { name, lockfile, berry },
+  { production = true, flags = [], cacheDir } = {}
+) => {
+  let command;
+  if (name === "yarn" && berry) {
+    const cache = cacheDir
+      ? `YARN_ENABLE_GLOBAL_CACHE=false YARN_CACHE_FOLDER=${cacheDir} `
+      : "";
+    // Yarn 2+ leaves out devDependencies through workspaces focus (Yarn 4 or the workspace-tools plugin)
+    command =
+      cache +
+      (production
+        ? `YARN_ENABLE_IMMUTABLE_INSTALLS=${Boolean(
+            lockfile
+          )} yarn workspaces focus --all --production`
+        : `yarn install${lockfile ? " --immutable" : ""}`);
+  } else {
+    command = [
+      lockfile ? frozenInstalls[name] : `${name} install`,
+      production ? productionFlags[name] : null,
+      cacheDir ? `${cacheFlags[name]} ${cacheDir}` : null,
+    ]
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  return [command, ...flags].join(" ");
+};
+
+/**
+ * Builds the read-only command hashing what the dependencies of a release are installed from:
+ * the lockfile, the install command and the node version. Hashes with sha256sum (GNU) or
+ * shasum (BSD, macOS). Prints nothing if the release or the lockfile does not exist yet,
+ * e.g. in dry runs, or if neither tool is installed. Runs node, it has to be wrapped with withNode().
+ *
+ * @param {string} releaseDir - The release directory.
+ * @param {string} lockfile - The lockfile of the release.
+ * @param {string} command - The install command, see installCommand().
+ * @returns {string} The command, printing the SHA-256 hash.
+ */
+export const dependencyHashCommand = (releaseDir, lockfile, command) =>
+  `cd ${releaseDir} 2>/dev/null && [ -f ${lockfile} ] && sha=$(command -v sha256sum || { command -v shasum >/dev/null && echo "shasum -a 256"; }) && { cat ${lockfile}; echo ${shellQuote(
+    command
+  )}; node --version; } | $sha | cut -d " " -f 1 || true`;
+
+/**
+ * Reads the hash printed by dependencyHashCommand(), anything else yields an empty hash,
+ * which never matches and installs the dependencies.
+ *
+ * @param {string} output - The output of the command.
+ * @returns {string} The SHA-256 hash, empty if the output is none.
+ */
+export const parseDependencyHash = (output) =>
+  /^[0-9a-f]{64}$/.test(output.trim()) ? output.trim() : "";
@@ -0,0 +1,45 @@
+// lib/utils/prompt.js
+
+// Global imports
+import readline from "readline";
+import { Writable } from "stream";
+
+/**
+ * Asks the user for input on the terminal. Prompts are written to stderr to keep
+ * stdout free for the JSON output.
+ *
+ * @param {string} question - The question, e.g. "Passphrase for ~/.ssh/id_ed25519: ".
+ * @param {Object} [options] - Prompt options.
+ * @param {boolean} [options.hidden=false] - Does not echo the input, e.g. for passwords.
+ * @returns {Promise<string>} Resolves with the answer.
+ * @throws {Error} Throws if stdin is not a terminal.
+ */
+export const promptInput = (question, { hidden = false } = {}) =>
+  new Promise((resolve, reject) => {
+    if (!process.stdin.isTTY) {
+      reject(
+        new Error(`Cannot ask for '${question.trim()}' without a terminal`)
+      );
+      return;
+    }
+
+    let muted = false;
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        if (!muted) process.stderr.write(chunk, encoding);
+        callback();
+      },
+    });
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output,
+      terminal: true,
+    });
+
+    rl.question(question, (answer) => {
+      rl.close();
+      if (hidden) process.stderr.write("\n");
+      resolve(answer);
+    });
+    muted = hidden;
+  });
@@ -0,0 +1,168 @@
+// lib/utils/revisionLog.js
+
+/**
+ * Free text lines written to revisions.log by earlier versions, mapped to entry fields.
+ */
+const legacyPatterns = [
+  {
+    pattern:
+      /^Branch (\S+) \(at (\S+)\) deployed as release (\d{14}) by (\S+)$/,
+    entry: ([, branch, sha, to, actor]) => ({
+      type: "deploy",
+      actor,
+      branch,
+      from: null,
+      to,
+      sha,
+    }),
+  },
+  {
+    pattern:
+      /^Branch (\S+) failed to deploy as release (\d{14}) at (\S+) by (\S+)$/,
+    entry: ([, branch, to, task, actor]) => ({
+      type: "deploy_failed",
+      actor,
+      branch,
+      from: null,
+      to,
+      sha: null,
+      task,
+    }),
+  },
+  {
+    pattern: /^Rolled back release (\S+) to release (\d{14}) by (\S+)$/,
+    entry: ([, from, to, actor]) => ({
+      type: "rollback",
+      actor,
+      branch: null,
+      from,
+      to,
+      sha: null,
+    }),
+  },
+  {
+    pattern: /^Switched from release (\S+) to release (\d{14}) by (\S+)$/,
+    entry: ([, from, to, actor]) => ({
+      type: "switch",
+      actor,
+      branch: null,
+      from,
+      to,
+      sha: null,
+    }),
+  },
+];
+
+/**
+ * Converts a release id (UTC timestamp YYYYMMDDHHMMSS) into an ISO date string.
+ *
+ * @param {string} releaseId - The release id.
+ * @returns {string} The ISO date string.
+ */
+const releaseIdToIso = (releaseId) =>
+  `${releaseId.slice(0, 4)}-${releaseId.slice(4, 6)}-${releaseId.slice(
+    6,
+    8
+  )}T${releaseId.slice(8, 10)}:${releaseId.slice(10, 12)}:${releaseId.slice(
+    12,
+    14
+  )}.000Z`;
+
+/**
+ * Parses a single line of revisions.log.
+ * Legacy free text lines are converted into entries flagged with `legacy`. Only deploys
+ * carry a timestamp, taken from their release id.
+ *
+ * @param {string} line - The line to parse.
+ * @returns {Object} The entry ({ timestamp, type, actor, branch, from, to, sha, ... }).
+ */
+export const parseRevisionLine = (line) => {
+  if (line.startsWith("{")) {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      // Fall through to the legacy formats
+    }
+  }
+
+  for (const { pattern, entry } of legacyPatterns) {
+    const match = line.match(pattern);
+    if (match) {
+      const fields = entry(match);
+      return {
+        timestamp: fields.type.startsWith("deploy")
+          ? releaseIdToIso(fields.to)
+          : null,
+        ...fields,
+        legacy: true,
+      };
+    }
+  }
+
+  return { timestamp: null, type: "unknown", message: line, legacy: true };
+};
+
+/**
+ * Parses the content of revisions.log, oldest entry first.
+ *
+ * @param {string} content - The content of revisions.log.
+ * @returns {Object[]} The entries.
+ */
+export const parseRevisionLog = (content) =>
+  content
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map(parseRevisionLine);
+
+/**
+ * Parses a --since value, either a duration (30m, 12h, 7d) or a date (2024-05-01).
+ *
+ * @param {string} since - The value to parse.
+ * @param {Date} [now=new Date()] - The reference time of durations.
+ * @returns {Date} The date.
+ * @throws {Error} Throws if the value is neither a duration nor a date.
+ */
+export const parseSince = (since, now = new Date()) => {
+  const duration = String(since).match(/^(\d+)([mhd])$/);
+  if (duration) {
+    const unit = { m: 60e3, h: 3600e3, d: 86400e3 }[duration[2]];
+    return new Date(now.getTime() - Number(duration[1]) * unit);
+  }
+
+  const date = new Date(since);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(
+      `Invalid --since value '${since}', expected a duration like 7d or a date like 2024-05-01`
+    );
+  }
+  return date;
+};
+
+/**
+ * Filters revisions.log entries.
+ *
+ * @param {Object[]} entries - The entries, oldest first.
+ * @param {Object} [filters] - The filters.
+ * @param {string} [filters.since] - Only entries at or after this duration or date, see parseSince().
+ * @param {string} [filters.user] - Only entries of this actor.
+ * @param {string} [filters.type] - Only entries of this type (deploy, deploy_failed, rollback, switch, cleanup).
+ * @param {number} [filters.limit] - Only the most recent entries.
+ * @returns {Object[]} The matching entries, oldest first.
+ */
+export const filterRevisionLog = (
+  entries,
+  { since, user, type, limit } = {}
+) => {
+  const sinceDate = since ? parseSince(since) : null;
+
+  const filtered = entries.filter(
+    (entry) =>
+      (!sinceDate ||
+        (entry.timestamp && new Date(entry.timestamp) >= sinceDate)) &&
+      (!user || entry.actor === user) &&
+      (!type || entry.type === type)
+  );
+
+  return limit ? filtered.slice(-limit) : filtered;
+};
@@ -0,0 +1,10 @@
+// lib/utils/shellQuote.js
+
+/**
+ * Quotes a value for safe use as a single argument in a remote shell command.
+ *
+ * @param {*} value - The value to quote.
+ * @returns {string} The value wrapped in single quotes.
+ */
+export const shellQuote = (value) =>
+  `'${String(value).replace(/'/g, "'\\''")}'`;
@@ -0,0 +1,261 @@
+// lib/utils/sshConfig.js
+
+// Global imports
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * The OpenSSH client configuration of the local user.
+ */
+const defaultConfigPath = path.join(os.homedir(), ".ssh", "config");
+
+/**
+ * Expands a leading ~ to the home directory.
+ *
+ * @param {string} file - The path to expand.
+ * @returns {string} The expanded path.
+ */
+export const expandHome = (file) =>
+  file === "~" || file.startsWith("~/")
+    ? path.join(os.homedir(), file.slice(1))
+    : file;
+
+/**
+ * Checks whether a host matches the patterns of a Host line (e.g. "prod-* !prod-db").
+ * A negated pattern excludes the host even if another pattern matches.
+ *
+ * @param {string} host - The host or alias to match.
+ * @param {string[]} patterns - The patterns of the Host line.
+ * @returns {boolean} True if the block applies to the host.
+ */
+const matchesHost = (host, patterns) => {
+  const matches = (pattern) =>
+    new RegExp(
+      `^${pattern
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*")
+        .replace(/\?/g, ".")}$`,
+      "i"
+    ).test(host);
+
+  let matched = false;
+  for (const pattern of patterns) {
+    if (pattern.startsWith("!")) {
+      if (matches(pattern.slice(1))) return false;
+    } else if (matches(pattern)) {
+      matched = true;
+    }
+  }
+  return matched;
+};
+
+/**
+ * Lists the files of an Include line. Relative paths are resolved in ~/.ssh,
+ * a * in the file name matches every file of the directory.
+ *
+ * @param {string} pattern - The included path.
+ * @returns {string[]} The existing files, sorted by name.
+ */
+const includedFiles = (pattern) => {
+  const file = path.resolve(
+    path.join(os.homedir(), ".ssh"),
+    expandHome(pattern)
+  );
+  if (!file.includes("*")) {
+    return fs.existsSync(file) ? [file] : [];
+  }
+
+  const directory = path.dirname(file);
+  const name = new RegExp(
+    `^${path
+      .basename(file)
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")}$`
+  );
+  try {
+    return fs
+      .readdirSync(directory)
+      .filter((entry) => name.test(entry))
+      .sort()
+      .map((entry) => path.join(directory, entry));
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Parses an OpenSSH client configuration into blocks of options.
+ * Options before the first Host line apply to every host. Match blocks are not
+ * evaluated and never apply.
+ *
+ * @param {string} content - The content of the configuration file.
+ * @returns {Object[]} The blocks ({ patterns, options: [[keyword, value], ...] }).
+ */
+export const parseSshConfig = (content) => {
+  const blocks = [{ patterns: ["*"], options: [] }];
+
+  for (const rawLine of content.split("\n")) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const match = line.match(/^(\S+?)(?:\s*=\s*|\s+)(.+)$/);
+    if (!match) continue;
+    const keyword = match[1].toLowerCase();
+    const value = match[2].replace(/^"(.*)"$/, "$1");
+
+    if (keyword === "host") {
+      blocks.push({ patterns: value.split(/\s+/), options: [] });
+    } else if (keyword === "match") {
+      blocks.push({ patterns: [], options: [] });
+    } else if (keyword === "include") {
+      value
+        .split(/\s+/)
+        .flatMap(includedFiles)
+        .forEach((file) => {
+          // Included options belong to the block of the Include line
+          const [global, ...included] = parseSshConfig(
+            fs.readFileSync(file, "utf8")
+          );
+          blocks[blocks.length - 1].options.push(...global.options);
+          blocks.push(...included);
+        });
+    } else {
+      blocks[blocks.length - 1].options.push([keyword, value]);
+    }
+  }
+
+  return blocks;
+};
+
+/**
+ * Looks up a host alias in ~/.ssh/config. Like ssh, the first value found for an
+ * option wins, identity files of all matching blocks are collected.
+ *
+ * @param {string} alias - The host or alias (e.g. prod-app).
+ * @param {string} [configPath=~/.ssh/config] - The configuration file.
+ * @returns {Object} The options set for the host ({ hostName, user, port, identityFiles, proxyJump }).
+ */
+export const resolveSshHost = (alias, configPath = defaultConfigPath) => {
+  const resolved = { identityFiles: [] };
+  if (!fs.existsSync(configPath)) {
+    return resolved;
+  }
+
+  const options = parseSshConfig(fs.readFileSync(configPath, "utf8"))
+    .filter((block) => matchesHost(alias, block.patterns))
+    .flatMap((block) => block.options);
+
+  for (const [keyword, value] of options) {
+    if (keyword === "hostname" && resolved.hostName === undefined) {
+      resolved.hostName = value;
+    } else if (keyword === "user" && resolved.user === undefined) {
+      resolved.user = value;
+    } else if (keyword === "port" && resolved.port === undefined) {
+      resolved.port = Number(value);
+    } else if (keyword === "proxyjump" && resolved.proxyJump === undefined) {
+      resolved.proxyJump =
+        value.toLowerCase() === "none" ? [] : value.split(",");
+    } else if (keyword === "identityfile") {
+      resolved.identityFiles.push(value);
+    }
+  }
+
+  // Tokens of HostName and IdentityFile
+  if (resolved.hostName) {
+    resolved.hostName = resolved.hostName.replace(/%h/g, alias);
+  }
+  const tokens = {
+    "%%": "%",
+    "%h": resolved.hostName || alias,
+    "%d": os.homedir(),
+    "%u": os.userInfo().username,
+    "%r": resolved.user || os.userInfo().username,
+  };
+  resolved.identityFiles = resolved.identityFiles.map((file) =>
+    expandHome(file.replace(/%[%hdur]/g, (token) => tokens[token]))
+  );
+
+  return resolved;
+};
+
+/**
+ * Parses a jump host, either a ProxyJump style string ([user@]host[:port]) or an
+ * object ({ host, port, user, keys, ... }).
+ *
+ * @param {string|Object} jumpHost - The jump host.
+ * @returns {Object} The connection configuration of the jump host.
+ */
+const parseJumpHost = (jumpHost) => {
+  if (typeof jumpHost !== "string") {
+    const { user, ...options } = jumpHost;
+    return { ...options, username: user };
+  }
+
+  const match = jumpHost.trim().match(/^(?:([^@]+)@)?([^:]+)(?::(\d+))?$/);
+  return {
+    host: match ? match[2] : jumpHost,
+    username: match?.[1],
+    port: match?.[3] ? Number(match[3]) : undefined,
+  };
+};
+
+/**
+ * Completes a connection configuration with the options of ~/.ssh/config.
+ * Values set in the connection configuration take precedence. The host keeps the
+ * alias, the address to connect to is set as hostName.
+ *
+ * Jump hosts are taken from `jumpHost` (a single jump host or a chain, see parseJumpHost())
+ * or the ProxyJump option of the alias. They share the agent, keys, timeout and keepalive of the
+ * target unless they set their own.
+ *
+ * @param {Object} connectionConfig - The connection configuration ({ host, port, username, keys, jumpHost, ... }).
+ * @param {string} [configPath=~/.ssh/config] - The configuration file.
+ * @returns {Object} The completed connection configuration, including the resolved jumpHosts.
+ */
+export const resolveConnectionConfig = (
+  connectionConfig,
+  configPath = defaultConfigPath
+) => {
+  const { hostName, user, port, identityFiles, proxyJump } = resolveSshHost(
+    connectionConfig.host,
+    configPath
+  );
+  const {
+    agent,
+    keys,
+    passphrase,
+    timeout,
+    keepaliveInterval,
+    keepaliveCountMax,
+  } = connectionConfig;
+  const jumpHosts =
+    connectionConfig.jumpHost !== undefined
+      ? [].concat(connectionConfig.jumpHost || [])
+      : proxyJump || [];
+
+  return {
+    ...connectionConfig,
+    hostName: hostName || connectionConfig.host,
+    username: connectionConfig.username || user || os.userInfo().username,
+    port: connectionConfig.port || port || 22,
+    keys: [].concat(connectionConfig.keys || []).map(expandHome),
+    identityFiles,
+    jumpHosts: jumpHosts.map((jumpHost) =>
+      resolveConnectionConfig(
+        {
+          agent,
+          keys,
+          passphrase,
+          timeout,
+          keepaliveInterval,
+          keepaliveCountMax,
+          ...parseJumpHost(jumpHost),
+          agentForward: false, // The agent is forwarded to the target only
+          jumpHost: null,
+        },
+        configPath
+      )
+    ),
+  };
+};
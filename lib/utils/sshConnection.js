@@ -1,34 +1,177 @@
 // lib/utils/sshConnection.js
 
 // Global imports
-import { Client } from "ssh2";
+import fs from "fs";
+import ssh2, { Client } from "ssh2";
 import chalk from "chalk";
 
 // Local imports
 import SSHError from "../errors/SSHError.js";
 import { sectionLogger, actionLogger } from "./logger.js";
+import { promptInput } from "./prompt.js";
+
+// ssh2 does not provide its key parser as named export
+const { parseKey } = ssh2.utils;
 
 /**
- * Establishes an SSH connection.
- * @param {Object} connectionConfig - SSH configuration object (host, port, username, privateKey, etc.)
- * @returns {Promise<Client>} - A promise that resolves to an SSH client instance.
+ * Reads a private key and asks for its passphrase if it is encrypted and no passphrase
+ * is configured.
+ *
+ * @param {string} file - The path of the private key.
+ * @param {string} [passphrase] - The configured passphrase.
+ * @param {boolean} [prompt=true] - Asks for a missing passphrase, otherwise encrypted keys are skipped.
+ * @returns {Promise<Object|null>} The key ({ key, passphrase }), null if it was skipped.
+ * @throws {Error} Throws if the key cannot be read or the passphrase is wrong.
  */
-export async function establishConnection(connectionConfig) {
-  sectionLogger("ssh:connection", chalk.blue);
+const readPrivateKey = async (file, passphrase, prompt = true) => {
+  const key = fs.readFileSync(file);
+  let parsed = parseKey(key, passphrase);
+
+  if (
+    parsed instanceof Error &&
+    !passphrase &&
+    /no passphrase given|bad passphrase/i.test(parsed.message)
+  ) {
+    if (!prompt) return null;
+    passphrase = await promptInput(`Passphrase for ${file}: `, {
+      hidden: true,
+    });
+    parsed = parseKey(key, passphrase);
+  }
+
+  if (parsed instanceof Error) {
+    throw new Error(`Cannot read private key ${file}: ${parsed.message}`);
+  }
+  return { key, passphrase };
+};
+
+/**
+ * Answers keyboard-interactive prompts of the server. Hidden prompts are answered
+ * with the configured password, all other prompts are asked on the terminal.
+ *
+ * @param {Object} connectionConfig - The connection configuration ({ password }).
+ * @returns {Function} The prompt handler of ssh2.
+ */
+const keyboardInteractive =
+  (connectionConfig) => (name, instructions, lang, prompts, finish) => {
+    if (instructions) actionLogger.info(instructions);
+
+    prompts
+      .reduce(
+        (answers, { prompt, echo }) =>
+          answers.then(async (previous) => [
+            ...previous,
+            !echo && connectionConfig.password
+              ? connectionConfig.password
+              : await promptInput(prompt, { hidden: !echo }),
+          ]),
+        Promise.resolve([])
+      )
+      .then(finish, () => finish([]));
+  };
+
+/**
+ * Builds the ssh2 connect options. Authentication methods are tried in the order
+ * agent, private keys (configured keys first, then IdentityFile entries of ~/.ssh/config),
+ * keyboard-interactive and password.
+ *
+ * Passphrases are asked for before connecting, the handshake would time out while
+ * waiting for them. Encrypted identity files are only asked for without an agent,
+ * which usually holds their keys.
+ *
+ * @param {Object} connectionConfig - The connection configuration, see establishConnection().
+ * @returns {Promise<Object>} The options for Client.connect().
+ * @throws {Error} Throws if a configured private key cannot be read.
+ */
+const connectOptions = async (connectionConfig) => {
+  const {
+    hostName,
+    host,
+    port,
+    username,
+    agent,
+    agentForward,
+    passphrase,
+    keys = [],
+    identityFiles = [],
+    password,
+    tryKeyboard,
+    timeout,
+    keepaliveInterval = 15,
+    keepaliveCountMax = 4,
+  } = connectionConfig;
+
+  const authHandler = [];
+  if (agent) {
+    authHandler.push({ type: "agent", username, agent });
+  }
+  for (const file of keys) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Private key ${file} does not exist`);
+    }
+    authHandler.push({
+      type: "publickey",
+      username,
+      ...(await readPrivateKey(file, passphrase)),
+    });
+  }
+  // Missing identity files of ~/.ssh/config are skipped like ssh does
+  for (const file of identityFiles.filter((file) => fs.existsSync(file))) {
+    const privateKey = await readPrivateKey(file, passphrase, !agent);
+    if (privateKey) {
+      authHandler.push({ type: "publickey", username, ...privateKey });
+    }
+  }
+  if (tryKeyboard) {
+    authHandler.push({
+      type: "keyboard-interactive",
+      username,
+      prompt: keyboardInteractive(connectionConfig),
+    });
+  }
+  if (password) {
+    authHandler.push({ type: "password", username, password });
+  }
+
+  return {
+    host: hostName || host,
+    port,
+    username,
+    agent,
+    agentForward,
+    tryKeyboard: Boolean(tryKeyboard),
+    ...(timeout ? { readyTimeout: timeout * 1000 } : {}),
+    // A dropped connection is noticed after keepaliveInterval * keepaliveCountMax seconds
+    keepaliveInterval: keepaliveInterval * 1000,
+    keepaliveCountMax,
+    ...(authHandler.length ? { authHandler } : {}),
+  };
+};
+
+/**
+ * Connects a client, either directly or through the socket of a tunnel.
+ *
+ * @param {Object} connectionConfig - The connection configuration, see establishConnection().
+ * @param {Duplex} [sock] - A tunnel to the host opened with forwardOut().
+ * @returns {Promise<Client>} Resolves with the ready client.
+ * @throws {SSHError} Throws if the connection cannot be established.
+ */
+const connectClient = async (connectionConfig, sock) => {
   const conn = new Client();
-  actionLogger.info(
-    `01 ssh ${connectionConfig.username}@${connectionConfig.host}`,
-    chalk.yellow
-  );
+
+  let options;
+  try {
+    options = await connectOptions(connectionConfig);
+  } catch (error) {
+    throw new SSHError(
+      `SSH Connection Error: ${error.message}`,
+      connectionConfig,
+      error
+    );
+  }
 
   return new Promise((resolve, reject) => {
-    conn.on("ready", () => {
-      actionLogger.success(
-        `01 ${connectionConfig.username}@${connectionConfig.host}`,
-        chalk.green
-      );
-      resolve(conn);
-    });
+    conn.on("ready", () => resolve(conn));
 
     conn.on("error", (error) => {
       reject(
@@ -41,9 +184,99 @@ export async function establishConnection(connectionConfig) {
     });
 
     conn.on("close", () => {
+      conn.closed = true; // Commands on a closed connection fail, see asyncWrapper()
       actionLogger.info("SSH connection closed.");
     });
 
-    conn.connect(connectionConfig);
+    conn.connect(sock ? { ...options, sock } : options);
   });
+};
+
+/**
+ * Opens a tunnel from a connected jump host to the next host.
+ *
+ * @param {Client} jumpConn - The connection to the jump host.
+ * @param {Object} connectionConfig - The connection configuration of the next host.
+ * @returns {Promise<Duplex>} Resolves with the tunnel.
+ * @throws {SSHError} Throws if the jump host refuses the tunnel.
+ */
+const forwardOut = (jumpConn, connectionConfig) =>
+  new Promise((resolve, reject) => {
+    jumpConn.forwardOut(
+      "127.0.0.1",
+      0,
+      connectionConfig.hostName || connectionConfig.host,
+      connectionConfig.port || 22,
+      (error, stream) =>
+        error
+          ? reject(
+              new SSHError(
+                `SSH Tunnel Error: ${error.message}`,
+                connectionConfig,
+                error
+              )
+            )
+          : resolve(stream)
+    );
+  });
+
+/**
+ * Establishes an SSH connection. With jump hosts every host is connected through a
+ * tunnel of the host before it, like ssh -J. Closing the connection closes the
+ * connections to the jump hosts as well.
+ * @param {Object} connectionConfig - SSH configuration object, completed by resolveConnectionConfig().
+ * @param {string} connectionConfig.host - The host or ~/.ssh/config alias.
+ * @param {string} [connectionConfig.hostName] - The address to connect to, defaults to host.
+ * @param {number} [connectionConfig.port] - The port.
+ * @param {string} connectionConfig.username - The user.
+ * @param {string} [connectionConfig.agent] - The SSH agent socket.
+ * @param {boolean} [connectionConfig.agentForward] - Forwards the agent to the server.
+ * @param {string[]} [connectionConfig.keys] - Private key files, encrypted keys ask for their passphrase.
+ * @param {string[]} [connectionConfig.identityFiles] - IdentityFile entries of ~/.ssh/config.
+ * @param {string} [connectionConfig.passphrase] - The passphrase of the private keys.
+ * @param {string} [connectionConfig.password] - The password for password authentication.
+ * @param {boolean} [connectionConfig.tryKeyboard] - Tries keyboard-interactive authentication.
+ * @param {number} [connectionConfig.timeout] - Seconds to wait for the connection, ssh2 defaults to 20.
+ * @param {number} [connectionConfig.keepaliveInterval=15] - Seconds between keepalive messages, 0 disables them.
+ * @param {number} [connectionConfig.keepaliveCountMax=4] - Unanswered keepalive messages before the connection is closed.
+ * @param {Object[]} [connectionConfig.jumpHosts] - Connection configurations of the jump hosts, in order.
+ * @returns {Promise<Client>} - A promise that resolves to an SSH client instance.
+ */
+export async function establishConnection(connectionConfig) {
+  sectionLogger("ssh:connection", chalk.blue);
+
+  const hops = [...(connectionConfig.jumpHosts || []), connectionConfig];
+  const jumpConns = [];
+  let conn;
+
+  try {
+    for (const [index, hop] of hops.entries()) {
+      const step = String(index + 1).padStart(2, "0");
+      const target = `${hop.username}@${hop.host}`;
+      const jumpConn = jumpConns[jumpConns.length - 1];
+      actionLogger.info(
+        `${step} ssh ${target}${
+          hop.hostName && hop.hostName !== hop.host ? ` (${hop.hostName})` : ""
+        }${jumpConn ? ` via ${hops[index - 1].host}` : ""}`,
+        chalk.yellow
+      );
+
+      const sock = jumpConn ? await forwardOut(jumpConn, hop) : undefined;
+      conn = await connectClient(hop, sock);
+      actionLogger.success(`${step} ${target}`, chalk.green);
+
+      if (hop !== connectionConfig) {
+        jumpConns.push(conn);
+      }
+    }
+  } catch (error) {
+    jumpConns.forEach((jumpConn) => jumpConn.end());
+    throw error;
+  }
+
+  conn.on("close", () =>
+    jumpConns.reverse().forEach((jumpConn) => jumpConn.end())
+  );
+  conn.connectionConfig = connectionConfig;
+  return conn;
 }
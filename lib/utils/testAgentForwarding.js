@@ -24,7 +24,7 @@ export async function testAgentForwarding(conn, connectionConfig) {
 
   try {
     // Execute the identity check command
-    const output = await asyncWrapper(conn, command);
+    const output = await asyncWrapper(conn, command, { readOnly: true });
 
     if (
       output.includes("no identities") ||
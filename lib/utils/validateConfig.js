@@ -0,0 +1,532 @@
+// lib/utils/validateConfig.js
+
+// Global imports
+import fs from "fs";
+import path from "path";
+
+// Local imports
+import ConfigError from "../errors/ConfigError.js";
+import { didYouMean } from "./didYouMean.js";
+import { expandHome } from "./sshConfig.js";
+import { nodeManagers } from "./nodeManager.js";
+import { packageManagers } from "./packageManager.js";
+
+/**
+ * Deploy methods available through deployVia.
+ */
+const deployMethods = ["git", "remoteCache", "copy", "remoteSync"];
+
+/**
+ * Server roles, see Einsatz.
+ */
+const serverRoles = ["web", "worker", "db"];
+
+/**
+ * Tasks hooks can be attached to through before and after, and timeouts through taskTimeouts.
+ */
+const hookTasks = [
+  "deploy:lock",
+  "deploy:check:current_release",
+  "deploy:check:directories",
+  "deploy:check:linked_dirs",
+  "deploy:check:make_linked_dirs",
+  "deploy:check:linked_files",
+  "deploy:check:release",
+  "deploy:create_release_dir",
+  "git:clone",
+  "git:pull",
+  "git:update_mirror",
+  "git:create_release",
+  "copy:upload",
+  "copy:extract",
+  "rsync:sync",
+  "deploy:set_current_revision",
+  "deploy:set_current_revision_time",
+  "deploy:write_release_metadata",
+  "deploy:symlink:linked_files",
+  "deploy:symlink:linked_dirs",
+  "npm:config",
+  "npm:install",
+  "npm:assets:precompile",
+  "npm:backup_package_json",
+  "deploy:migrate",
+  "deploy:migrating",
+  "deploy:symlink:release",
+  "systemctl:restart",
+  "deploy:health_check",
+  "deploy:finish_release_metadata",
+  "deploy:cleanup",
+  "deploy:log_revision",
+  "deploy:after:symlink_public_resources",
+];
+
+/**
+ * Rules of the configuration keys. A rule defines the type of the value and optionally
+ * the allowed `values`, the rule of array `items` or the rules of the `keys` of an object.
+ */
+const stringList = { type: "array", items: { type: "string" } };
+const hookMap = {
+  type: "object",
+  entries: {
+    type: ["array", "string", "function"],
+    items: { type: ["string", "function"] },
+  },
+};
+
+const jumpHostKeys = {
+  host: { type: "string", required: true },
+  port: { type: "port" },
+  user: { type: "string" },
+  keys: { type: ["string", "array"], items: { type: "string" } },
+  passphrase: { type: "string" },
+  password: { type: "string" },
+  tryKeyboard: { type: "boolean" },
+};
+const jumpHost = {
+  type: ["string", "object", "array"],
+  keys: jumpHostKeys,
+  items: { type: ["string", "object"], keys: jumpHostKeys },
+};
+
+const configRules = {
+  stage: { type: "string" },
+  application: { type: "string", required: true },
+  user: { type: "string" },
+  server: { type: "string" },
+  port: { type: "port" },
+  servers: {
+    type: "array",
+    items: {
+      type: "object",
+      keys: {
+        host: { type: "string", required: true },
+        port: { type: "port" },
+        user: { type: "string" },
+        roles: {
+          type: "array",
+          items: { type: "string", values: serverRoles },
+        },
+        primary: { type: "boolean" },
+        jumpHost,
+      },
+    },
+  },
+  agent: { type: "string" },
+  agentForward: { type: "boolean" },
+  jumpHost,
+  repoUrl: { type: "string" },
+  branch: { type: "string", required: true },
+  deployVia: { type: "string", values: deployMethods, required: true },
+  deployTo: { type: "string", required: true },
+  nodeVersion: { type: "string" },
+  nodeManager: { type: "string", values: nodeManagers },
+  packageManager: { type: "string", values: packageManagers },
+  install: {
+    type: "object",
+    keys: {
+      production: { type: "boolean" },
+      flags: stringList,
+      reuse: { type: "boolean" },
+      cache: { type: "boolean" },
+    },
+  },
+  linkedFiles: stringList,
+  linkedDirs: stringList,
+  copy: {
+    type: "object",
+    keys: { include: stringList, exclude: stringList },
+  },
+  remoteSync: {
+    type: "object",
+    keys: {
+      source: { type: "string", required: true },
+      exclude: stringList,
+      delete: { type: "boolean" },
+    },
+  },
+  healthCheck: {
+    type: "object",
+    keys: {
+      type: { type: "string", values: ["http", "systemd"] },
+      url: { type: "string" },
+      expectedStatus: { type: "number" },
+      expectedBody: { type: "string" },
+      retries: { type: "number" },
+      interval: { type: "number" },
+      timeout: { type: "number" },
+      duration: { type: "number" },
+    },
+  },
+  before: hookMap,
+  after: hookMap,
+  commandTimeout: { type: "number" },
+  taskTimeouts: { type: "object", entries: { type: "number" } },
+  sshOptions: {
+    type: "object",
+    keys: {
+      agentForward: { type: "boolean" },
+      agent: { type: "string" },
+      user: { type: "string" },
+      keys: { type: ["string", "array"], items: { type: "string" } },
+      passphrase: { type: "string" },
+      password: { type: "string" },
+      tryKeyboard: { type: "boolean" },
+      timeout: { type: "number" },
+      keepaliveInterval: { type: "number" },
+      keepaliveCountMax: { type: "number" },
+      reconnectAttempts: { type: "number" },
+    },
+  },
+};
+
+/**
+ * Returns the type name of a value as used in the rules.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The type (string, number, boolean, function, array, object, null).
+ */
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+/**
+ * Checks a value against its rule and collects the problems.
+ *
+ * @param {string} key - The path of the value (e.g. servers[1].host).
+ * @param {*} value - The value to check.
+ * @param {Object} rule - The rule of the value.
+ * @param {Object[]} problems - Receives the problems found.
+ */
+const checkValue = (key, value, rule, problems) => {
+  const types = [].concat(rule.type);
+  const type = typeOf(value);
+  const matches = types.some(
+    (expected) =>
+      expected === type ||
+      (expected === "port" &&
+        Number.isInteger(value) &&
+        value > 0 &&
+        value < 65536)
+  );
+
+  if (!matches) {
+    problems.push({
+      key,
+      message: `expected ${types
+        .map((expected) =>
+          expected === "port"
+            ? "a port number (1-65535)"
+            : `${/^[aeiou]/.test(expected) ? "an" : "a"} ${expected}`
+        )
+        .join(" or ")}, got ${
+        type === "string" ? `'${value}'` : `${type} ${JSON.stringify(value)}`
+      }`,
+      suggestion:
+        type === "number" && types.includes("string")
+          ? `quote the value: "${value}"`
+          : types.includes("array") && type === "string"
+          ? `wrap the value in a list: ["${value}"]`
+          : undefined,
+    });
+    return;
+  }
+
+  if (rule.values && !rule.values.includes(value)) {
+    const closest = didYouMean(value, rule.values);
+    problems.push({
+      key,
+      message: `unknown value '${value}', expected one of ${rule.values.join(
+        ", "
+      )}`,
+      suggestion: closest ? `did you mean '${closest}'?` : undefined,
+    });
+  }
+
+  if (type === "array" && rule.items) {
+    value.forEach((item, index) =>
+      checkValue(`${key}[${index}]`, item, rule.items, problems)
+    );
+  }
+
+  if (type === "object" && rule.keys) {
+    checkObject(key, value, rule.keys, problems);
+  }
+
+  if (type === "object" && rule.entries) {
+    Object.entries(value).forEach(([entryKey, entry]) =>
+      checkValue(`${key}.${entryKey}`, entry, rule.entries, problems)
+    );
+  }
+};
+
+/**
+ * Checks the keys of an object against their rules, reports unknown and missing keys.
+ *
+ * @param {string} prefix - The path of the object, empty for the configuration itself.
+ * @param {Object} object - The object to check.
+ * @param {Object} rules - The rules per key.
+ * @param {Object[]} problems - Receives the problems found.
+ */
+const checkObject = (prefix, object, rules, problems) => {
+  const keyPath = (key) => (prefix ? `${prefix}.${key}` : key);
+
+  for (const [key, value] of Object.entries(object)) {
+    const rule = rules[key];
+    if (!rule) {
+      const closest = didYouMean(key, Object.keys(rules));
+      problems.push({
+        key: keyPath(key),
+        message: "unknown key",
+        suggestion: closest ? `did you mean '${keyPath(closest)}'?` : undefined,
+      });
+    } else if (value !== undefined) {
+      checkValue(keyPath(key), value, rule, problems);
+    }
+  }
+
+  for (const [key, rule] of Object.entries(rules)) {
+    if (rule.required && object[key] === undefined) {
+      problems.push({ key: keyPath(key), message: "is required" });
+    }
+  }
+};
+
+/**
+ * Checks a path which is resolved relative to the release or the shared directory.
+ *
+ * @param {string} key - The path of the value.
+ * @param {string} value - The path to check.
+ * @param {Object[]} problems - Receives the problems found.
+ */
+const checkRelativePath = (key, value, problems) => {
+  if (typeof value !== "string") return;
+
+  if (path.isAbsolute(value)) {
+    problems.push({
+      key,
+      message: `'${value}' has to be relative to the project root`,
+      suggestion: `use '${value.replace(/^\/+/, "")}'`,
+    });
+  } else if (value.split("/").includes("..")) {
+    problems.push({
+      key,
+      message: `'${value}' points outside of the release directory`,
+    });
+  }
+};
+
+/**
+ * Checks the paths and the combinations of values, which the rules cannot express.
+ *
+ * @param {Object} config - The merged deploy configuration.
+ * @param {string} cwd - The project directory.
+ * @param {Object[]} problems - Receives the problems found.
+ */
+const checkCombinations = (config, cwd, problems) => {
+  const {
+    server,
+    servers,
+    deployVia,
+    deployTo,
+    repoUrl,
+    remoteSync,
+    healthCheck,
+  } = config;
+
+  // Servers
+  if (server && servers) {
+    problems.push({
+      key: "servers",
+      message: "server and servers are both set",
+      suggestion: "remove server and list it in servers",
+    });
+  } else if (!server && !servers) {
+    problems.push({
+      key: "server",
+      message: "is required unless servers is set",
+    });
+  }
+  if (Array.isArray(servers) && servers.length === 0) {
+    problems.push({ key: "servers", message: "lists no server" });
+  }
+
+  // Configured private keys have to exist, identity files of ~/.ssh/config are optional
+  const sshKeys = config.sshOptions?.keys;
+  if (typeof sshKeys === "string" || Array.isArray(sshKeys)) {
+    [].concat(sshKeys).forEach((file, index) => {
+      if (typeof file === "string" && !fs.existsSync(expandHome(file))) {
+        problems.push({
+          key: Array.isArray(sshKeys)
+            ? `sshOptions.keys[${index}]`
+            : "sshOptions.keys",
+          message: `private key '${file}' does not exist`,
+        });
+      }
+    });
+  }
+
+  // Paths on the server
+  if (typeof deployTo === "string") {
+    if (!deployTo.startsWith("/")) {
+      problems.push({
+        key: "deployTo",
+        message: `'${deployTo}' has to be an absolute path`,
+        suggestion: deployTo.startsWith("~")
+          ? `the home directory is not expanded, use '/home/<user>${deployTo.slice(
+              1
+            )}'`
+          : undefined,
+      });
+    } else if (/\s/.test(deployTo)) {
+      problems.push({
+        key: "deployTo",
+        message: `'${deployTo}' must not contain whitespace`,
+      });
+    }
+  }
+  ["linkedFiles", "linkedDirs"].forEach((key) => {
+    if (Array.isArray(config[key])) {
+      config[key].forEach((value, index) =>
+        checkRelativePath(`${key}[${index}]`, value, problems)
+      );
+    }
+  });
+
+  // Deploy methods
+  if (["git", "remoteCache"].includes(deployVia) && !repoUrl) {
+    problems.push({
+      key: "repoUrl",
+      message: `is required by deployVia '${deployVia}'`,
+    });
+  }
+  if (deployVia === "remoteSync" && !remoteSync) {
+    problems.push({
+      key: "remoteSync.source",
+      message: "is required by deployVia 'remoteSync'",
+    });
+  }
+  if (remoteSync && typeof remoteSync.source === "string") {
+    const source = path.resolve(cwd, remoteSync.source);
+    if (!fs.existsSync(source) || !fs.statSync(source).isDirectory()) {
+      problems.push({
+        key: "remoteSync.source",
+        message: `'${remoteSync.source}' is not a local directory`,
+        suggestion: "build the project before deploying",
+        level: "warning",
+      });
+    }
+  }
+  if (remoteSync && typeof remoteSync === "object" && "delete" in remoteSync) {
+    problems.push({
+      key: "remoteSync.delete",
+      message:
+        "has no effect, every deploy syncs into a new, empty release directory",
+      suggestion: "remove the option",
+      level: "warning",
+    });
+  }
+  ["copy", "remoteSync"].forEach((key) => {
+    if (config[key] && deployVia && deployVia !== key) {
+      problems.push({
+        key,
+        message: `is only used by deployVia '${key}', deployVia is '${deployVia}'`,
+        level: "warning",
+      });
+    }
+  });
+
+  // Health check
+  if (
+    healthCheck &&
+    typeof healthCheck === "object" &&
+    healthCheck.type === "http" &&
+    !healthCheck.url
+  ) {
+    problems.push({
+      key: "healthCheck.url",
+      message: "is required by the http health check",
+    });
+  }
+
+  // Hooks and task timeouts
+  ["before", "after", "taskTimeouts"].forEach((key) => {
+    if (config[key] && typeof config[key] === "object") {
+      Object.keys(config[key]).forEach((task) => {
+        if (!hookTasks.includes(task)) {
+          const closest = didYouMean(task, hookTasks);
+          problems.push({
+            key: `${key}.${task}`,
+            message: `unknown task '${task}', the ${
+              key === "taskTimeouts"
+                ? "timeout would never apply"
+                : "hook would never run"
+            }`,
+            suggestion: closest ? `did you mean '${closest}'?` : undefined,
+          });
+        }
+      });
+    }
+  });
+};
+
+/**
+ * Validates the merged deploy configuration before anything connects.
+ * All problems are collected instead of stopping at the first one.
+ *
+ * @param {Object} config - The merged deploy configuration, see loadDeployConfig().
+ * @param {string} [cwd=process.cwd()] - The project directory.
+ * @returns {Object} { errors, warnings }, lists of { key, message, suggestion }.
+ */
+export const validateDeployConfig = (config, cwd = process.cwd()) => {
+  const problems = [];
+
+  if (typeOf(config) !== "object") {
+    problems.push({
+      key: "config/deploy.js",
+      message: `has to export an object, got ${typeOf(config)}`,
+    });
+  } else {
+    checkObject("", config, configRules, problems);
+    checkCombinations(config, cwd, problems);
+  }
+
+  const strip = ({ level, ...problem }) => problem;
+  return {
+    errors: problems.filter((problem) => !problem.level).map(strip),
+    warnings: problems
+      .filter((problem) => problem.level === "warning")
+      .map(strip),
+  };
+};
+
+/**
+ * Formats a problem for the console, e.g. "deployVia: unknown value 'gti' (did you mean 'git'?)".
+ *
+ * @param {Object} problem - The problem ({ key, message, suggestion }).
+ * @returns {string} The formatted problem.
+ */
+export const formatProblem = ({ key, message, suggestion }) =>
+  `${key}: ${message}${suggestion ? ` (${suggestion})` : ""}`;
+
+/**
+ * Validates the deploy configuration and throws if it contains errors.
+ *
+ * @param {Object} config - The merged deploy configuration, see loadDeployConfig().
+ * @param {string} [cwd=process.cwd()] - The project directory.
+ * @returns {Object[]} The warnings.
+ * @throws {ConfigError} Throws custom ConfigError listing all errors.
+ */
+export const assertValidDeployConfig = (config, cwd = process.cwd()) => {
+  const { errors, warnings } = validateDeployConfig(config, cwd);
+  if (errors.length) {
+    throw new ConfigError(
+      `Invalid deploy configuration${
+        config && config.stage ? ` for stage '${config.stage}'` : ""
+      }: ${errors.length} problem${errors.length === 1 ? "" : "s"} found`,
+      errors
+    );
+  }
+  return warnings;
+};
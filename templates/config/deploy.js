@@ -1,4 +1,6 @@
 // config/deploy.js
+// Shared configuration for all stages. Stage specific values are set in
+// config/deploy/<stage>.js and override the values in this file.
 
 const user = "user name"; // your ssh username
 const application = "application_name"; // your application name
@@ -6,9 +8,17 @@ const agent = process.env.SSH_AUTH_SOCK; // Use the SSH agent for forwarding if
 
 const deployConfig = {
   // Server details
-  server: "IP", // the IP address of the production server
-  port: 22, // the port of the production server
+  server: "IP", // the IP address of the server
+  port: 22, // the port of the server
   user: user,
+  /*
+   * Deploy to multiple servers by listing them with their roles (web, worker, db).
+   * Migrations run on the primary db server, restarts on web and worker servers.
+   * servers: [
+   *   { host: "IP", roles: ["web", "db"], primary: true },
+   *   { host: "IP", port: 22, user: user, roles: ["worker"] },
+   * ],
+   */
 
   // Application details
   application: application,
@@ -18,23 +28,120 @@ const deployConfig = {
   branch: "branch", // the branch name for deployment
 
   // Deployment details
-  stage: "stage", // the branch name for deployment
+  stage: "staging", // the default stage, if none is passed on the command line
   /*
-   * Available method: git,
-   * methods in development: rsync, copy, remoteCache
+   * Available methods: git, remoteCache, copy, remoteSync
    */
   deployVia: "git",
+  /*
+   * Files packaged by the copy method, defaults to all files not ignored by .gitignore.
+   * copy: {
+   *   include: ["dist", "package.json", "package-lock.json"],
+   *   exclude: ["*.log"],
+   * },
+   */
+  /*
+   * Local directory synced by the remoteSync method with rsync. Files unchanged
+   * since the current release are hard-linked instead of transferred.
+   * remoteSync: {
+   *   source: "dist",
+   *   exclude: ["*.map"],
+   * },
+   */
   deployTo: `/home/${user}/apps/${application}`,
 
+  /*
+   * Every remote node command (install, hooks) runs with nodeVersion, read from
+   * .nvmrc or the engines of package.json if unset. The node manager of the
+   * servers is detected, nodeManager selects one: nvm, fnm, volta, asdf or system.
+   */
   nodeVersion: "22.11.0",
+  // nodeManager: "nvm",
+
+  /*
+   * Dependencies are installed from the lockfile of the release (npm ci, pnpm install
+   * --frozen-lockfile, yarn install --immutable) by the package manager of the lockfile,
+   * packageManager selects one: npm, pnpm or yarn. devDependencies are left out unless
+   * install.production is false, install.flags are passed to the install.
+   * With an unchanged lockfile the node_modules of the current release are reused
+   * (install.reuse), the package manager cache is kept in shared/cache (install.cache).
+   */
+  // packageManager: "pnpm",
+  install: {
+    production: true,
+    flags: [],
+    reuse: true,
+    cache: true,
+  },
+
+  /*
+   * Files and directories shared between releases. They are kept in
+   * `${deployTo}/shared` and linked into every release at the same path.
+   * Linked files have to be uploaded to the shared directory before deploying.
+   */
+  linkedFiles: [".env.production"],
+  linkedDirs: ["cache", "logs", "public/uploads"],
+
+  /*
+   * Health check after the restart. If it fails, the previous release is
+   * linked and restarted again and the deploy exits with an error.
+   * healthCheck: {
+   *   type: "http", // or "systemd" to check `systemctl is-active` for `duration` seconds
+   *   url: "http://localhost:3000/health", // polled from the server
+   *   expectedStatus: 200,
+   *   expectedBody: "ok",
+   *   retries: 10,
+   *   interval: 3, // seconds between attempts
+   *   timeout: 5, // seconds per request
+   * },
+   */
+
+  /*
+   * Hooks run before or after a deployment task on the hosts of the task.
+   * A hook is a remote shell command, run inside the release directory, or an
+   * async function receiving { conn, host, task, release }.
+   * before: { "systemctl:restart": ["node bin/warm-cache.js"] },
+   * after: { "npm:install": ["node bin/sitemap.js"] },
+   */
+  before: {},
+  after: {},
+
+  /*
+   * Remote commands are killed after commandTimeout seconds (0 waits forever),
+   * taskTimeouts sets the timeout of single tasks.
+   */
+  commandTimeout: 1800,
+  taskTimeouts: {
+    // "npm:install": 900,
+  },
 
   // SSH details
+  /*
+   * `server` may also be a host alias of ~/.ssh/config, its HostName, User, Port and
+   * IdentityFile are used unless set here. Authentication tries the agent, the keys,
+   * keyboard-interactive and the password in this order.
+   */
   sshOptions: {
-    agentForward: true,
+    agentForward: Boolean(agent), // forwarding needs a running agent
     agent: agent,
     user: user,
-    keys: "/Users/User/.ssh/id_rsa", // your deployment ssh key
+    // keys: ["~/.ssh/id_ed25519"], // your deployment ssh keys, encrypted keys ask for their passphrase
+    // passphrase: process.env.DEPLOY_KEY_PASSPHRASE,
+    // password: process.env.DEPLOY_PASSWORD,
+    // tryKeyboard: true, // keyboard-interactive authentication, e.g. for one-time passwords
+    timeout: 20, // seconds to wait for the connection
+    // A connection counts as lost after keepaliveCountMax unanswered keepalives, tasks
+    // which can run again safely are retried on a new connection
+    keepaliveInterval: 15, // seconds
+    keepaliveCountMax: 4,
+    reconnectAttempts: 3,
   },
+  /*
+   * Servers only reachable through a bastion host are connected through a tunnel,
+   * like `ssh -J`. A chain is listed in order, servers may set their own jumpHost.
+   * jumpHost: "deploy@bastion.example.com:22",
+   * jumpHost: ["deploy@outer-bastion", { host: "inner-bastion", user: "deploy", keys: ["~/.ssh/bastion"] }],
+   */
 };
 
 export default deployConfig;
@@ -0,0 +1,12 @@
+// config/deploy/production.js
+// Values in this file override the shared configuration in config/deploy.js
+
+const stageConfig = {
+  // Server details
+  server: "IP", // the IP address of the production server
+
+  // Repo details
+  branch: "main", // the branch name for production deployments
+};
+
+export default stageConfig;
@@ -0,0 +1,12 @@
+// config/deploy/staging.js
+// Values in this file override the shared configuration in config/deploy.js
+
+const stageConfig = {
+  // Server details
+  server: "IP", // the IP address of the staging server
+
+  // Repo details
+  branch: "develop", // the branch name for staging deployments
+};
+
+export default stageConfig;
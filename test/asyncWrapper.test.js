@@ -0,0 +1,65 @@
+// test/asyncWrapper.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Local imports
+import { asyncWrapper } from "../lib/utils/asyncWrapper.js";
+import { setSilent } from "../lib/utils/logger.js";
+import { FakeConnection } from "./fixtures/fakeConnection.js";
+
+setSilent(true);
+
+/**
+ * Answers the check for `timeout` and fails `exit <code>` with that code.
+ */
+const responder = (hasTimeout) => (command) => {
+  if (command.startsWith("timeout -k 1 5 true")) return hasTimeout ? "yes" : "";
+  const exit = command.match(/exit (\d+)/);
+  if (exit) {
+    throw Object.assign(new Error("killed"), { code: Number(exit[1]) });
+  }
+  return "done";
+};
+
+test("commands are wrapped in timeout on servers providing it", async () => {
+  const conn = new FakeConnection(responder(true));
+
+  await asyncWrapper(conn, "npm ci", { timeout: 60 });
+  await asyncWrapper(conn, "npm run build", { timeout: 60 });
+
+  assert.equal(conn.commands.length, 3);
+  assert.match(conn.commands[1], /^timeout -k 10 60 .* -c 'npm ci'$/);
+  assert.match(conn.commands[2], /^timeout -k 10 60 /);
+});
+
+test("commands run unwrapped on servers without timeout", async () => {
+  const conn = new FakeConnection(responder(false));
+
+  await asyncWrapper(conn, "npm ci", { timeout: 60 });
+
+  assert.deepEqual(conn.commands.slice(1), ["npm ci"]);
+});
+
+test("commands killed before their timeout are reported as failed", async () => {
+  const conn = new FakeConnection(responder(true));
+
+  await assert.rejects(asyncWrapper(conn, "exit 137", { timeout: 60 }), {
+    message: /failed with code 137/,
+  });
+});
+
+test("retryable commands record their process group in the pid file", async () => {
+  const conn = new FakeConnection(responder(false));
+  conn.pidFile = "/srv/app/einsatz.pid";
+
+  await asyncWrapper(conn, "npm ci", { timeout: 60 });
+  await asyncWrapper(conn, "cat package.json", { readOnly: true });
+
+  assert.match(
+    conn.commands[1],
+    /^echo \$\$ > \/srv\/app\/einsatz\.pid 2>\/dev\/null; exec .* -c 'npm ci'$/
+  );
+  assert.equal(conn.commands[2], "cat package.json");
+});
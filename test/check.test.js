@@ -0,0 +1,36 @@
+// test/check.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Local imports
+import { FakeEinsatz, fakeConfig } from "./fixtures/fakeEinsatz.js";
+
+test("the repository check passes the URL and branch as single arguments", async () => {
+  const repoDetails = {
+    repoUrl: "https://example.com/app.git?token=a&scope=read",
+    branch: "main",
+  };
+  const einsatz = new FakeEinsatz(
+    { ...fakeConfig, repoDetails, servers: [fakeConfig.servers[0]] },
+    (command) => {
+      if (command.includes("ls-remote")) {
+        return "0123456789abcdef\trefs/heads/main";
+      }
+      return "";
+    }
+  );
+
+  const { checks } = await einsatz.check();
+
+  const repository = checks.find((result) => result.item === "repository");
+  assert.equal(repository.ok, true);
+  assert.ok(
+    einsatz.connections[0].commands.some((command) =>
+      command.endsWith(
+        "ls-remote --heads 'https://example.com/app.git?token=a&scope=read' 'main'"
+      )
+    )
+  );
+});
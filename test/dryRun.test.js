@@ -0,0 +1,63 @@
+// test/dryRun.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Local imports
+import { isSilent } from "../lib/utils/logger.js";
+import { FakeEinsatz, fakeConfig, inTempDir } from "./fixtures/fakeEinsatz.js";
+
+/**
+ * Answers the read-only queries of a deployment to a server with a live release.
+ */
+const responder = (command) => {
+  if (command.includes("readlink")) return "/srv/app/releases/20240101000000";
+  if (command.includes("ls -1")) return "package-lock.json";
+  if (command.includes("node --version")) return "v20.11.1";
+  return "";
+};
+
+const deployDryRun = async (deployVia) => {
+  const einsatz = new FakeEinsatz(
+    { ...fakeConfig, deployVia, dryRun: true },
+    responder
+  );
+  const tasks = [];
+  let silenced = true;
+  einsatz.on("task:finish", ({ task }) => {
+    tasks.push(task);
+    silenced &&= isSilent();
+  });
+  const result = await einsatz.deploy();
+  return { einsatz, result, tasks, silenced };
+};
+
+inTempDir();
+
+for (const deployVia of ["git", "remoteCache"]) {
+  test(`dry run of a ${deployVia} deployment walks all tasks`, async () => {
+    const { einsatz, result, tasks } = await deployDryRun(deployVia);
+
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(result.hosts, ["web1", "web2"]);
+    for (const task of [
+      "deploy:write_release_metadata",
+      "systemctl:restart",
+      "deploy:log_revision",
+    ]) {
+      assert.ok(tasks.includes(task), `${task} did not run`);
+    }
+    for (const conn of einsatz.connections) {
+      assert.ok(conn.commands.length > 0);
+      assert.ok(conn.ended);
+    }
+  });
+}
+
+test("a silent instance silences the loggers only while it deploys", async () => {
+  const { silenced } = await deployDryRun("git");
+
+  assert.equal(silenced, true);
+  assert.equal(isSilent(), false);
+});
@@ -0,0 +1,55 @@
+// test/fixtures/fakeConnection.js
+
+// Global imports
+import { EventEmitter } from "events";
+import { spawnSync } from "child_process";
+
+/**
+ * Stands in for an ssh2 Client. Commands are checked for shell syntax errors and answered
+ * by a responder instead of being run.
+ */
+export class FakeConnection extends EventEmitter {
+  /**
+   * @param {Function} [responder] - Called with the command and the connection, returns the
+   * stdout of the command or throws to fail it, with the exit status in `code` of the error.
+   */
+  constructor(responder = () => "") {
+    super();
+    this.responder = responder;
+    this.commands = []; // Every command sent to the server
+  }
+
+  exec(command, callback) {
+    this.commands.push(command);
+    const stream = new EventEmitter();
+    stream.stderr = new EventEmitter();
+    stream.signal = () => {};
+    stream.close = () => stream.emit("close", null);
+
+    setImmediate(() => {
+      let stdout = "";
+      let code = 0;
+      const syntax = spawnSync("sh", ["-n", "-c", command], {
+        encoding: "utf8",
+      });
+      try {
+        if (syntax.status !== 0) {
+          throw new Error(syntax.stderr);
+        }
+        stdout = this.responder(command, this) || "";
+      } catch (error) {
+        code = error.code ?? 1;
+        stream.stderr.emit("data", Buffer.from(error.message));
+      }
+      if (stdout) {
+        stream.emit("data", Buffer.from(stdout));
+      }
+      stream.emit("close", code);
+    });
+    callback(undefined, stream);
+  }
+
+  end() {
+    this.ended = true;
+  }
+}
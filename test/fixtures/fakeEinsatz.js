@@ -0,0 +1,76 @@
+// test/fixtures/fakeEinsatz.js
+
+// Global imports
+import { before, after } from "node:test";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+// Local imports
+import Einsatz from "../../lib/Einsatz.js";
+import { FakeConnection } from "./fakeConnection.js";
+
+/**
+ * Einsatz connecting to fake servers instead of opening SSH connections.
+ */
+export class FakeEinsatz extends Einsatz {
+  /**
+   * @param {Object} config - The Einsatz configuration.
+   * @param {Function} responder - Answers the commands, see FakeConnection.
+   */
+  constructor(config, responder) {
+    super(config);
+    this.responder = responder;
+    this.connections = []; // Every connection opened, in order
+  }
+
+  async _openConnection(connectionConfig) {
+    const conn = new FakeConnection(this.responder);
+    conn.dryRun = this.dryRun;
+    conn.events = this;
+    conn.hostName = connectionConfig.host;
+    this.connections.push(conn);
+    return conn;
+  }
+}
+
+/**
+ * Configuration of an application deployed to two servers.
+ */
+export const fakeConfig = {
+  application: "app",
+  stage: "test",
+  deployVia: "git",
+  servers: [
+    {
+      connectionConfig: { host: "web1", username: "deploy" },
+      primary: true,
+    },
+    { connectionConfig: { host: "web2", username: "deploy" } },
+  ],
+  repoDetails: { repoUrl: "git@example.com:app.git", branch: "main" },
+  commandTimeout: 0,
+  silent: true,
+  projectFolder: "/srv/app",
+};
+
+/**
+ * Runs the tests of a file in a temporary working directory, deployments write their
+ * transcripts to it.
+ *
+ * @returns {Object} The directory ({ path }), set once the tests start.
+ */
+export const inTempDir = () => {
+  const dir = {};
+  let cwd;
+  before(async () => {
+    cwd = process.cwd();
+    dir.path = await fs.mkdtemp(path.join(os.tmpdir(), "einsatz-"));
+    process.chdir(dir.path);
+  });
+  after(async () => {
+    process.chdir(cwd);
+    await fs.rm(dir.path, { recursive: true, force: true });
+  });
+  return dir;
+};
@@ -0,0 +1,60 @@
+// test/healthCheck.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Local imports
+import { GitDeployer } from "../lib/deployer/GitDeployer.js";
+import DeploymentError from "../lib/errors/DeploymentError.js";
+import { FakeConnection } from "./fixtures/fakeConnection.js";
+import { fakeConfig } from "./fixtures/fakeEinsatz.js";
+import { setSilent } from "../lib/utils/logger.js";
+
+/**
+ * Runs the systemd health check against a service answering with the given states in turn.
+ */
+const checkSystemd = async (states, healthCheck) => {
+  const checkedAt = [];
+  const conn = new FakeConnection(() => {
+    checkedAt.push(Date.now());
+    return states[Math.min(checkedAt.length, states.length) - 1];
+  });
+  const deployer = new GitDeployer(fakeConfig);
+  const host = { roles: ["web"] };
+
+  setSilent(true);
+  try {
+    await deployer.checkHealth(
+      conn,
+      { type: "systemd", ...healthCheck },
+      host,
+      "app",
+      1,
+      "deploy@web1"
+    );
+  } finally {
+    setSilent(false);
+  }
+  return checkedAt;
+};
+
+test("the systemd health check runs until the duration has passed", async () => {
+  const checkedAt = await checkSystemd(["active"], {
+    duration: 0.05,
+    interval: 0.02,
+  });
+
+  assert.equal(checkedAt.length, 4);
+  assert.ok(checkedAt.at(-1) - checkedAt[0] >= 50);
+});
+
+test("the systemd health check fails if the service stops at the end of the duration", async () => {
+  await assert.rejects(
+    checkSystemd(["active", "active", "active", "failed"], {
+      duration: 0.06,
+      interval: 0.02,
+    }),
+    DeploymentError
+  );
+});
@@ -0,0 +1,49 @@
+// test/linkedDirs.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Local imports
+import DeploymentError from "../lib/errors/DeploymentError.js";
+import { FakeEinsatz, fakeConfig, inTempDir } from "./fixtures/fakeEinsatz.js";
+
+/**
+ * Answers like a server whose shared/logs is a file.
+ */
+const responder = (command) => {
+  if (command.includes("set -C")) return "acquired";
+  if (command.includes("for dir in")) {
+    throw new Error("/srv/app/shared/logs is no directory");
+  }
+  return "";
+};
+
+inTempDir();
+
+test("the configured linked dirs are checked instead of shared/public", async () => {
+  const einsatz = new FakeEinsatz(
+    { ...fakeConfig, linkedDirs: ["logs", "public/uploads"] },
+    responder
+  );
+
+  await assert.rejects(einsatz.deploy(), DeploymentError);
+
+  const { commands } = einsatz.connections[0];
+  const check = commands.find((command) => command.includes("for dir in"));
+  assert.ok(check.includes("/srv/app/shared/logs"));
+  assert.ok(check.includes("/srv/app/shared/public/uploads"));
+  assert.ok(!commands.some((command) => /shared\/public(?!\/)/.test(command)));
+});
+
+test("without linked dirs nothing is checked", async () => {
+  const einsatz = new FakeEinsatz(fakeConfig, responder);
+
+  await einsatz._connect();
+  einsatz.deployer = einsatz._createDeployer();
+  const [host] = einsatz.hosts;
+  await einsatz.deployer.checkLinkedDirs(host.conn, "/srv/app", [], 1, "");
+  await einsatz._disconnect();
+
+  assert.deepEqual(einsatz.connections[0].commands, []);
+});
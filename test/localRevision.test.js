@@ -0,0 +1,56 @@
+// test/localRevision.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import path from "path";
+import execa from "execa";
+
+// Local imports
+import { FakeEinsatz, fakeConfig, inTempDir } from "./fixtures/fakeEinsatz.js";
+
+/**
+ * Runs git in the temporary project directory.
+ */
+const git = (...args) =>
+  execa(
+    "git",
+    ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args],
+    { cwd: tmpDir.path }
+  );
+
+const localRevision = () => {
+  const einsatz = new FakeEinsatz(
+    { ...fakeConfig, deployVia: "copy" },
+    () => ""
+  );
+  return einsatz._createDeployer().getLocalRevision("copy:package", 1);
+};
+
+/**
+ * Commits the project in the temporary directory.
+ */
+const commitProject = async () => {
+  await git("init", "-q");
+  await fs.writeFile(path.join(tmpDir.path, "index.js"), "console.log(1);\n");
+  await git("add", "index.js");
+  await git("commit", "-q", "--allow-empty", "-m", "release");
+};
+
+const tmpDir = inTempDir();
+
+test("a clean working tree is deployed as HEAD", async () => {
+  await commitProject();
+  const { stdout: head } = await git("rev-parse", "HEAD");
+
+  assert.equal(await localRevision(), head);
+});
+
+test("uncommitted changes mark the revision as dirty", async () => {
+  await commitProject();
+  const { stdout: head } = await git("rev-parse", "HEAD");
+  await fs.writeFile(path.join(tmpDir.path, "index.js"), "console.log(2);\n");
+
+  assert.equal(await localRevision(), `${head}-dirty`);
+});
@@ -0,0 +1,86 @@
+// test/lock.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Local imports
+import LockError from "../lib/errors/LockError.js";
+import { FakeEinsatz, fakeConfig, inTempDir } from "./fixtures/fakeEinsatz.js";
+
+/**
+ * Answers the lock commands like the servers, keeping the lock file of every host.
+ *
+ * @param {Object} locks - The content of the lock file per host.
+ */
+const lockResponder = (locks) => (command, conn) => {
+  const lockFile = locks[conn.hostName];
+  if (command.includes("set -C")) {
+    if (lockFile) return lockFile;
+    locks[conn.hostName] = command.match(/echo '(\{.*?\})' >/)[1];
+    return "acquired";
+  }
+  if (command.startsWith("grep -qF")) {
+    const id = command.match(/grep -qF '([^']*)'/)[1];
+    if (lockFile?.includes(id)) delete locks[conn.hostName];
+    return "";
+  }
+  if (command.startsWith("rm -f /srv/app/einsatz.lock")) {
+    delete locks[conn.hostName];
+    return "";
+  }
+  if (command.startsWith("cat /srv/app/einsatz.lock")) return lockFile;
+  return "";
+};
+
+const otherLock = JSON.stringify({
+  id: "other",
+  user: "alice",
+  hostname: "laptop",
+  since: "2024-01-01T00:00:00.000Z",
+  action: "deploy",
+  release: "20240101000000",
+});
+
+inTempDir();
+
+test("a deployment locked out of a later host releases the hosts it locked", async () => {
+  const locks = { web2: otherLock };
+  const einsatz = new FakeEinsatz(fakeConfig, lockResponder(locks));
+
+  await assert.rejects(einsatz.deploy(), LockError);
+
+  assert.deepEqual(locks, { web2: otherLock });
+});
+
+test("the lock is taken on all hosts and released with its id", async () => {
+  const locks = {};
+  const einsatz = new FakeEinsatz(fakeConfig, lockResponder(locks));
+
+  await einsatz._connect();
+  einsatz.deployer = einsatz._createDeployer();
+  await einsatz.deployer.lock("deploy", "20240102000000");
+  const held = { ...locks };
+  await einsatz._disconnect();
+
+  assert.deepEqual(Object.keys(held), ["web1", "web2"]);
+  assert.equal(JSON.parse(held.web1).release, "20240102000000");
+  assert.deepEqual(locks, {});
+});
+
+test("lock:status reports the holder and unlock --force removes the lock", async () => {
+  const locks = { web1: otherLock };
+  const einsatz = new FakeEinsatz(fakeConfig, lockResponder(locks));
+
+  const status = await einsatz.lockStatus();
+  assert.deepEqual(
+    status.map(({ host, lock }) => [host, lock?.user ?? null]),
+    [
+      ["web1", "alice"],
+      ["web2", null],
+    ]
+  );
+
+  assert.deepEqual(await einsatz.forceUnlock(), ["web1", "web2"]);
+  assert.deepEqual(locks, {});
+});
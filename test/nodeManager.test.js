@@ -0,0 +1,111 @@
+// test/nodeManager.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import path from "path";
+import execa from "execa";
+
+// Local imports
+import {
+  detectNodeManagerCommand,
+  matchesNodeVersion,
+  parseNodeManager,
+  readProjectNodeVersion,
+  withNode,
+} from "../lib/utils/nodeManager.js";
+import { inTempDir } from "./fixtures/fakeEinsatz.js";
+
+/**
+ * Runs a command like the SSH session of a server whose home is the temporary directory.
+ */
+const remote = async (command) => {
+  const { stdout } = await execa("sh", ["-c", command], {
+    env: { HOME: tmpDir.path, PATH: "/usr/bin:/bin" },
+    extendEnv: false,
+  });
+  return stdout;
+};
+
+/**
+ * Installs a fake nvm recording its calls in the home directory.
+ */
+const installNvm = async () => {
+  await fs.mkdir(path.join(tmpDir.path, ".nvm"), { recursive: true });
+  await fs.writeFile(
+    path.join(tmpDir.path, ".nvm", "nvm.sh"),
+    'nvm() { echo "nvm $*" >> "$HOME/calls"; }\n'
+  );
+};
+
+const tmpDir = inTempDir();
+
+test("servers without a node manager are detected as such", async () => {
+  const output = await remote(detectNodeManagerCommand("nvm"));
+
+  assert.equal(parseNodeManager(output).manager, null);
+});
+
+test("nvm is found in its default location and selects the version", async () => {
+  await installNvm();
+
+  const nodeEnv = parseNodeManager(
+    await remote(detectNodeManagerCommand()),
+    "v20.11"
+  );
+  assert.equal(nodeEnv.manager, "nvm");
+  assert.equal(nodeEnv.location, path.join(tmpDir.path, ".nvm"));
+  assert.equal(nodeEnv.version, "20.11");
+
+  assert.equal(await remote(withNode(nodeEnv, "echo 'it ran'")), "it ran");
+  assert.equal(
+    await fs.readFile(path.join(tmpDir.path, "calls"), "utf8"),
+    "nvm use --silent 20.11\n"
+  );
+});
+
+test("commands run unchanged with the system node", () => {
+  const nodeEnv = parseNodeManager("system /usr/bin/node\n/bin/bash", "20");
+
+  assert.equal(withNode(nodeEnv, "npm ci"), "npm ci");
+});
+
+test("asdf selects the version through its shims", () => {
+  const nodeEnv = parseNodeManager("asdf /home/deploy/.asdf\n/bin/bash", "20");
+
+  assert.equal(
+    withNode(nodeEnv, "npm ci"),
+    `/bin/bash -c 'export PATH="/home/deploy/.asdf/shims:/home/deploy/.asdf/bin:$PATH" ASDF_NODEJS_VERSION=20; npm ci'`
+  );
+});
+
+test("the project node version is read from .nvmrc or package.json engines", async () => {
+  const project = path.join(tmpDir.path, "project");
+  await fs.mkdir(project, { recursive: true });
+  const engines = async (node) => {
+    await fs.writeFile(
+      path.join(project, "package.json"),
+      JSON.stringify({ engines: { node } })
+    );
+    return readProjectNodeVersion(project)?.version;
+  };
+
+  assert.equal(await engines("^20.11.0"), "20");
+  assert.equal(await engines("~20.11.0"), "20.11");
+  assert.equal(await engines("20.11.1"), "20.11.1");
+  assert.equal(await engines(">=18"), undefined);
+
+  await fs.writeFile(path.join(project, ".nvmrc"), "v22.1.0\n");
+  assert.deepEqual(readProjectNodeVersion(project), {
+    version: "22.1.0",
+    source: ".nvmrc",
+  });
+});
+
+test("partial versions match the installed version", () => {
+  assert.equal(matchesNodeVersion("v20.11.1", "20"), true);
+  assert.equal(matchesNodeVersion("v20.11.1", "v20.11"), true);
+  assert.equal(matchesNodeVersion("v20.11.1", "20.1"), false);
+  assert.equal(matchesNodeVersion("v18.19.0", "lts/iron"), true);
+});
@@ -0,0 +1,173 @@
+// test/packageManager.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import path from "path";
+import execa from "execa";
+
+// Local imports
+import {
+  dependencyHashCommand,
+  detectPackageManager,
+  installCommand,
+  parseDependencyHash,
+} from "../lib/utils/packageManager.js";
+import { FakeEinsatz, fakeConfig, inTempDir } from "./fixtures/fakeEinsatz.js";
+
+const hash = "a".repeat(64);
+
+/**
+ * Answers the install of a release with a package-lock.json whose dependencies hash to
+ * `releaseHash`, the previous release recorded `previousHash`.
+ */
+const installResponder = (releaseHash, previousHash) => (command) => {
+  if (command.includes("ls -1")) return "package-lock.json";
+  if (command.includes("| $sha")) return releaseHash;
+  if (command.includes(".einsatz-dependencies")) return previousHash;
+  return "";
+};
+
+/**
+ * Installs the dependencies of a release on a fake server.
+ *
+ * @returns {Promise<Object>} The result of npmInstall() and the commands sent.
+ */
+const install = async (responder, installOptions) => {
+  const einsatz = new FakeEinsatz(
+    { ...fakeConfig, servers: [fakeConfig.servers[0]], installOptions },
+    responder
+  );
+  await einsatz._connect();
+  const deployer = einsatz._createDeployer();
+  const [host] = einsatz.hosts;
+  const result = await deployer.npmInstall(
+    host.conn,
+    await deployer.nodeEnvironment(host),
+    "/srv/app/releases/20240102000000",
+    "/srv/app/releases/20240101000000",
+    1,
+    host.connectionMessage
+  );
+  await einsatz._disconnect();
+  return { result, commands: einsatz.connections[0].commands };
+};
+
+const tmpDir = inTempDir();
+
+test("the package manager is detected from the lockfile", () => {
+  assert.deepEqual(detectPackageManager("pnpm-lock.yaml\n"), {
+    name: "pnpm",
+    lockfile: "pnpm-lock.yaml",
+    berry: false,
+  });
+  assert.deepEqual(detectPackageManager("yarn.lock\n.yarnrc.yml\n"), {
+    name: "yarn",
+    lockfile: "yarn.lock",
+    berry: true,
+  });
+  assert.deepEqual(detectPackageManager("", undefined), {
+    name: "npm",
+    lockfile: null,
+    berry: false,
+  });
+  // A configured manager ignores the lockfiles of other managers
+  assert.deepEqual(detectPackageManager("package-lock.json\n", "pnpm"), {
+    name: "pnpm",
+    lockfile: null,
+    berry: false,
+  });
+});
+
+test("installs keep the lockfile and leave out devDependencies", () => {
+  const npm = { name: "npm", lockfile: "package-lock.json", berry: false };
+  const berry = { name: "yarn", lockfile: "yarn.lock", berry: true };
+
+  assert.equal(
+    installCommand(npm, { cacheDir: "/srv/app/shared/cache/npm" }),
+    "npm ci --omit=dev --cache /srv/app/shared/cache/npm"
+  );
+  assert.equal(
+    installCommand(
+      { name: "pnpm", lockfile: null, berry: false },
+      { production: false, flags: ["--ignore-scripts"] }
+    ),
+    "pnpm install --ignore-scripts"
+  );
+  assert.equal(
+    installCommand(berry),
+    "YARN_ENABLE_IMMUTABLE_INSTALLS=true yarn workspaces focus --all --production"
+  );
+  assert.equal(
+    installCommand(berry, { production: false }),
+    "yarn install --immutable"
+  );
+});
+
+test("unchanged dependencies reuse the node_modules of the previous release", async () => {
+  const { result, commands } = await install(installResponder(hash, hash));
+
+  assert.equal(result.reused, true);
+  assert.ok(
+    commands.some((command) =>
+      command.includes(
+        "cp -al /srv/app/releases/20240101000000/node_modules /srv/app/releases/20240102000000/node_modules"
+      )
+    )
+  );
+  assert.ok(!commands.some((command) => /&& npm ci/.test(command)));
+});
+
+test("changed or unknown dependency hashes install the dependencies", async () => {
+  for (const [releaseHash, previousHash] of [
+    [hash, "b".repeat(64)],
+    ["", ""],
+  ]) {
+    const { result, commands } = await install(
+      installResponder(releaseHash, previousHash)
+    );
+
+    assert.equal(result.reused, false);
+    assert.ok(!commands.some((command) => command.includes("cp -al")));
+    assert.ok(commands.some((command) => /&& npm ci --omit=dev/.test(command)));
+  }
+});
+
+test("install.reuse: false always installs", async () => {
+  const { result } = await install(installResponder(hash, hash), {
+    reuse: false,
+  });
+
+  assert.equal(result.reused, false);
+});
+
+test("the dependency hash covers the lockfile and the install command", async () => {
+  await fs.writeFile(path.join(tmpDir.path, "package-lock.json"), "{}\n");
+  const hash = async (command) => {
+    const { stdout } = await execa("sh", [
+      "-c",
+      dependencyHashCommand(tmpDir.path, "package-lock.json", command),
+    ]);
+    return parseDependencyHash(stdout);
+  };
+
+  const ci = await hash("npm ci");
+  assert.match(ci, /^[0-9a-f]{64}$/);
+  assert.equal(await hash("npm ci"), ci);
+  assert.notEqual(await hash("npm ci --omit=dev"), ci);
+});
+
+test("releases without a lockfile get no dependency hash", async () => {
+  const { stdout } = await execa("sh", [
+    "-c",
+    dependencyHashCommand(tmpDir.path, "yarn.lock", "yarn install"),
+  ]);
+
+  assert.equal(parseDependencyHash(stdout), "");
+});
+
+test("output other than a hash is an empty hash", () => {
+  assert.equal(parseDependencyHash(""), "");
+  assert.equal(parseDependencyHash("sh: 1: sha256sum: not found"), "");
+});
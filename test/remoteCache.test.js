@@ -0,0 +1,82 @@
+// test/remoteCache.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Local imports
+import { FakeEinsatz, fakeConfig } from "./fixtures/fakeEinsatz.js";
+
+/**
+ * Answers like a server with a valid mirror whose branch moves on with every lookup.
+ */
+const movingBranchResponder = () => {
+  const commits = ["1111111", "2222222", "3333333"];
+  return (command) => {
+    if (command.includes("rev-parse --verify --quiet HEAD")) return "valid";
+    if (command.includes("rev-parse --verify")) return commits.shift();
+    return "";
+  };
+};
+
+test("the release and REVISION use the commit resolved before the export", async () => {
+  const einsatz = new FakeEinsatz(
+    {
+      ...fakeConfig,
+      deployVia: "remoteCache",
+      servers: [fakeConfig.servers[0]],
+    },
+    movingBranchResponder()
+  );
+
+  await einsatz._connect();
+  einsatz.deployer = einsatz._createDeployer();
+  const { deployer } = einsatz;
+  await deployer.updateCode();
+  const [host] = einsatz.hosts;
+  const revision = await deployer.setCurrentRevision(
+    host.conn,
+    deployer.releaseDir,
+    1,
+    host.connectionMessage
+  );
+  await einsatz._disconnect();
+
+  const { commands } = einsatz.connections[0];
+  assert.equal(revision, "1111111");
+  assert.ok(
+    commands.some(
+      (command) => command.includes("archive") && command.includes(" 1111111 ")
+    )
+  );
+  assert.ok(commands.some((command) => command.includes('echo "1111111" >')));
+});
+
+test("a mirror left by an interrupted clone is removed and cloned again", async () => {
+  const einsatz = new FakeEinsatz(
+    {
+      ...fakeConfig,
+      deployVia: "remoteCache",
+      servers: [fakeConfig.servers[0]],
+    },
+    (command) => {
+      if (command.includes("rev-parse --verify --quiet HEAD")) return "broken";
+      if (command.includes("rev-parse --verify")) return "1111111";
+      return "";
+    }
+  );
+
+  await einsatz._connect();
+  einsatz.deployer = einsatz._createDeployer();
+  await einsatz.deployer.updateCode();
+  await einsatz._disconnect();
+
+  const { commands } = einsatz.connections[0];
+  const removed = commands.findIndex((command) =>
+    command.includes("rm -rf /srv/app/repo")
+  );
+  const cloned = commands.findIndex((command) =>
+    command.includes("git clone --mirror")
+  );
+  assert.ok(removed !== -1 && removed < cloned);
+});
@@ -0,0 +1,138 @@
+// test/revisionLog.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+
+// Local imports
+import { FakeEinsatz, fakeConfig, inTempDir } from "./fixtures/fakeEinsatz.js";
+
+const sha = "0123456789abcdef0123456789abcdef01234567";
+
+/**
+ * Answers like a server with a live release, running the revisions.log commands in the
+ * temporary directory. Commands containing `fail` fail.
+ */
+const serverResponder = (fail) => (command) => {
+  if (command.includes("set -C")) return "acquired";
+  if (command.includes("readlink")) {
+    return `${tmpDir.path}/releases/20240101000000`;
+  }
+  if (command.includes("rev-parse HEAD")) return sha;
+  if (command.includes("revisions.log")) {
+    return spawnSync("sh", ["-c", command], { encoding: "utf8" }).stdout;
+  }
+  if (fail && command.includes(fail)) throw new Error(`${fail} failed`);
+  return "";
+};
+
+/**
+ * Einsatz deploying the project folder in the temporary directory to one server.
+ */
+const fakeEinsatz = (fail) =>
+  new FakeEinsatz(
+    {
+      ...fakeConfig,
+      servers: [fakeConfig.servers[0]],
+      projectFolder: tmpDir.path,
+    },
+    serverResponder(fail)
+  );
+
+const readEntries = async () =>
+  (await fs.readFile(path.join(tmpDir.path, "revisions.log"), "utf8"))
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+
+const tmpDir = inTempDir();
+
+test("a deploy is recorded with the release it replaced", async () => {
+  const einsatz = fakeEinsatz();
+
+  await einsatz.deploy();
+
+  const [entry] = await readEntries();
+  assert.deepEqual(
+    {
+      type: entry.type,
+      branch: entry.branch,
+      from: entry.from,
+      to: entry.to,
+      sha: entry.sha,
+      stage: entry.stage,
+    },
+    {
+      type: "deploy",
+      branch: "main",
+      from: "20240101000000",
+      to: einsatz.revisionTime,
+      sha,
+      stage: "test",
+    }
+  );
+  assert.ok(!Number.isNaN(Date.parse(entry.timestamp)));
+});
+
+test("a failed deploy is recorded with the failed task and the release it kept", async () => {
+  await fs.rm(path.join(tmpDir.path, "revisions.log"), { force: true });
+  const einsatz = fakeEinsatz("git clone");
+
+  await assert.rejects(einsatz.deploy(), { message: /git clone failed/ });
+
+  const [entry] = await readEntries();
+  assert.equal(entry.type, "deploy_failed");
+  assert.equal(entry.from, "20240101000000");
+  assert.equal(entry.to, einsatz.revisionTime);
+  assert.equal(entry.task, "git:clone");
+  assert.match(entry.error, /git clone failed/);
+});
+
+test("the history includes legacy lines and is filtered", async () => {
+  await fs.writeFile(
+    path.join(tmpDir.path, "revisions.log"),
+    [
+      "Branch main (at abc1234) deployed as release 20240101000000 by alice",
+      "Rolled back release 20240102000000 to release 20240101000000 by bob",
+      JSON.stringify({
+        timestamp: "2024-02-01T00:00:00.000Z",
+        type: "deploy",
+        actor: "carol",
+        branch: "main",
+        from: "20240101000000",
+        to: "20240201000000",
+        sha,
+      }),
+      "",
+    ].join("\n")
+  );
+
+  const all = await fakeEinsatz().getHistory();
+  assert.deepEqual(
+    all.map(({ type, actor, legacy }) => [type, actor, Boolean(legacy)]),
+    [
+      ["deploy", "alice", true],
+      ["rollback", "bob", true],
+      ["deploy", "carol", false],
+    ]
+  );
+  assert.equal(all[0].timestamp, "2024-01-01T00:00:00.000Z");
+
+  const deploys = await fakeEinsatz().getHistory({ type: "deploy", limit: 1 });
+  assert.deepEqual(
+    deploys.map(({ to }) => to),
+    ["20240201000000"]
+  );
+});
+
+test("an invalid since filter is rejected before connecting", async () => {
+  const einsatz = fakeEinsatz();
+
+  await assert.rejects(einsatz.getHistory({ since: "yesterday" }), {
+    message: /Invalid --since value 'yesterday'/,
+  });
+  assert.equal(einsatz.connections.length, 0);
+});
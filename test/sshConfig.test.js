@@ -0,0 +1,125 @@
+// test/sshConfig.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+// Local imports
+import {
+  parseSshConfig,
+  resolveConnectionConfig,
+  resolveSshHost,
+} from "../lib/utils/sshConfig.js";
+import { inTempDir } from "./fixtures/fakeEinsatz.js";
+
+const sshConfig = `
+# Defaults of all hosts
+ServerAliveInterval 30
+
+Host prod-* !prod-db
+  HostName %h.example.com
+  User deploy
+  Port 2222
+  IdentityFile ~/.ssh/prod_%r
+  ProxyJump ops@bastion.example.com:2200
+
+Host prod-db
+  HostName 10.0.0.5
+  ProxyJump none
+
+Host *
+  User fallback
+  IdentityFile ~/.ssh/id_ed25519
+`;
+
+/**
+ * Writes the configuration to the temporary directory.
+ *
+ * @returns {Promise<string>} The path of the configuration file.
+ */
+const writeConfig = async () => {
+  const configPath = path.join(tmpDir.path, "ssh_config");
+  await fs.writeFile(configPath, sshConfig);
+  return configPath;
+};
+
+const tmpDir = inTempDir();
+
+test("options before the first Host line apply to every host", () => {
+  const [global, prod] = parseSshConfig(sshConfig);
+
+  assert.deepEqual(global, {
+    patterns: ["*"],
+    options: [["serveraliveinterval", "30"]],
+  });
+  assert.deepEqual(prod.patterns, ["prod-*", "!prod-db"]);
+});
+
+test("the first value of an option wins and identity files are collected", async () => {
+  const configPath = await writeConfig();
+
+  assert.deepEqual(resolveSshHost("prod-app", configPath), {
+    hostName: "prod-app.example.com",
+    user: "deploy",
+    port: 2222,
+    proxyJump: ["ops@bastion.example.com:2200"],
+    identityFiles: [
+      path.join(os.homedir(), ".ssh/prod_deploy"),
+      path.join(os.homedir(), ".ssh/id_ed25519"),
+    ],
+  });
+});
+
+test("negated patterns exclude a host from a block", async () => {
+  const configPath = await writeConfig();
+  const db = resolveSshHost("prod-db", configPath);
+
+  assert.equal(db.hostName, "10.0.0.5");
+  assert.equal(db.user, "fallback");
+  assert.deepEqual(db.proxyJump, []);
+});
+
+test("hosts missing from the configuration keep their settings", () => {
+  assert.deepEqual(resolveSshHost("web1", path.join(tmpDir.path, "missing")), {
+    identityFiles: [],
+  });
+});
+
+test("the connection configuration takes precedence and resolves jump hosts", async () => {
+  const configPath = await writeConfig();
+
+  const config = resolveConnectionConfig(
+    { host: "prod-app", port: 22, keys: ["~/.ssh/deploy"], timeout: 5 },
+    configPath
+  );
+
+  assert.equal(config.host, "prod-app");
+  assert.equal(config.hostName, "prod-app.example.com");
+  assert.equal(config.username, "deploy");
+  assert.equal(config.port, 22);
+  assert.deepEqual(config.keys, [path.join(os.homedir(), ".ssh/deploy")]);
+
+  const [jump] = config.jumpHosts;
+  assert.equal(jump.host, "bastion.example.com");
+  assert.equal(jump.username, "ops");
+  assert.equal(jump.port, 2200);
+  assert.equal(jump.timeout, 5);
+  assert.equal(jump.agentForward, false);
+});
+
+test("a configured jump host replaces ProxyJump", async () => {
+  const configPath = await writeConfig();
+
+  const config = resolveConnectionConfig(
+    { host: "prod-app", jumpHost: { host: "gate", user: "admin" } },
+    configPath
+  );
+
+  assert.deepEqual(
+    config.jumpHosts.map(({ host, username }) => [host, username]),
+    [["gate", "admin"]]
+  );
+});
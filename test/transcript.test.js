@@ -0,0 +1,71 @@
+// test/transcript.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import path from "path";
+
+// Local imports
+import LockError from "../lib/errors/LockError.js";
+import { FakeEinsatz, fakeConfig, inTempDir } from "./fixtures/fakeEinsatz.js";
+
+const otherLock = JSON.stringify({
+  id: "other",
+  user: "alice",
+  hostname: "laptop",
+  since: "2024-01-01T00:00:00.000Z",
+  action: "deploy",
+  release: "20240101000000",
+});
+
+/**
+ * Answers a deployment to servers of which the given hosts are locked by another user.
+ */
+const lockedResponder =
+  (lockedHosts = ["web1", "web2"]) =>
+  (command, conn) => {
+    if (command.includes("set -C")) {
+      return lockedHosts.includes(conn.hostName) ? otherLock : "acquired";
+    }
+    return "";
+  };
+
+/**
+ * Lists the hosts the transcript was uploaded to.
+ */
+const uploadedTo = (einsatz) =>
+  einsatz.connections
+    .filter((conn) =>
+      conn.commands.some((command) => command.includes("logs/deploys"))
+    )
+    .map((conn) => conn.hostName);
+
+const tmpDir = inTempDir();
+
+test("a deployment failing to take the lock keeps its transcript local", async () => {
+  const einsatz = new FakeEinsatz(fakeConfig, lockedResponder());
+
+  await assert.rejects(einsatz.deploy(), LockError);
+
+  assert.deepEqual(uploadedTo(einsatz), []);
+
+  const transcript = await fs.readFile(
+    path.join(
+      tmpDir.path,
+      "log",
+      "einsatz",
+      `test-${einsatz.revisionTime}.log`
+    ),
+    "utf8"
+  );
+  assert.match(transcript, /failed at deploy:lock/);
+});
+
+test("a deployment locked out of a later host uploads its transcript to the hosts it locked", async () => {
+  const einsatz = new FakeEinsatz(fakeConfig, lockedResponder(["web2"]));
+
+  await assert.rejects(einsatz.deploy(), LockError);
+
+  assert.deepEqual(uploadedTo(einsatz), ["web1"]);
+});
@@ -0,0 +1,135 @@
+// test/validateConfig.test.js
+
+// Global imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Local imports
+import ConfigError from "../lib/errors/ConfigError.js";
+import {
+  assertValidDeployConfig,
+  formatProblem,
+  validateDeployConfig,
+} from "../lib/utils/validateConfig.js";
+import { inTempDir } from "./fixtures/fakeEinsatz.js";
+
+/**
+ * A valid configuration of the git deploy method.
+ */
+const validConfig = {
+  stage: "production",
+  application: "app",
+  user: "deploy",
+  servers: [{ host: "web1", roles: ["web"], primary: true }],
+  repoUrl: "git@example.com:app.git",
+  branch: "main",
+  deployVia: "git",
+  deployTo: "/home/deploy/apps/app",
+  linkedFiles: [".env.production"],
+  linkedDirs: ["logs", "public/uploads"],
+};
+
+/**
+ * Validates the valid configuration with some keys replaced and formats the problems.
+ */
+const validate = (config) => {
+  const { errors, warnings } = validateDeployConfig(
+    { ...validConfig, ...config },
+    tmpDir.path
+  );
+  return {
+    errors: errors.map(formatProblem),
+    warnings: warnings.map(formatProblem),
+  };
+};
+
+const tmpDir = inTempDir();
+
+test("a valid configuration has no problems", () => {
+  assert.deepEqual(validate({}), { errors: [], warnings: [] });
+});
+
+test("all problems are reported together with their keys and suggestions", () => {
+  const { errors } = validate({
+    deployVia: "gti",
+    nodeVersion: 22,
+    servers: [{ host: "web1", roles: ["api"], port: 70000 }],
+    linkedFiles: ".env.production",
+    unknownKey: true,
+  });
+
+  assert.deepEqual(errors, [
+    "servers[0].roles[0]: unknown value 'api', expected one of web, worker, db",
+    "servers[0].port: expected a port number (1-65535), got number 70000",
+    "deployVia: unknown value 'gti', expected one of git, remoteCache, copy, remoteSync (did you mean 'git'?)",
+    "linkedFiles: expected an array, got '.env.production' (wrap the value in a list: [\".env.production\"])",
+    'nodeVersion: expected a string, got number 22 (quote the value: "22")',
+    "unknownKey: unknown key",
+  ]);
+});
+
+test("server paths have to be absolute and linked paths relative", () => {
+  const { errors } = validate({
+    deployTo: "~/apps/app",
+    linkedDirs: ["/var/log", "../uploads"],
+  });
+
+  assert.deepEqual(errors, [
+    "deployTo: '~/apps/app' has to be an absolute path (the home directory is not expanded, use '/home/<user>/apps/app')",
+    "linkedDirs[0]: '/var/log' has to be relative to the project root (use 'var/log')",
+    "linkedDirs[1]: '../uploads' points outside of the release directory",
+  ]);
+});
+
+test("impossible combinations are errors", () => {
+  assert.deepEqual(validate({ server: "web1" }).errors, [
+    "servers: server and servers are both set (remove server and list it in servers)",
+  ]);
+  assert.deepEqual(
+    validate({ deployVia: "remoteSync", repoUrl: undefined }).errors,
+    ["remoteSync.source: is required by deployVia 'remoteSync'"]
+  );
+  assert.deepEqual(validate({ healthCheck: { type: "http" } }).errors, [
+    "healthCheck.url: is required by the http health check",
+  ]);
+});
+
+test("unknown hook and timeout tasks suggest the closest task", () => {
+  const { errors } = validate({
+    before: { "deploy:simlink:release": "echo" },
+    taskTimeouts: { "npm:instal": 600 },
+  });
+
+  assert.deepEqual(errors, [
+    "before.deploy:simlink:release: unknown task 'deploy:simlink:release', the hook would never run (did you mean 'deploy:symlink:release'?)",
+    "taskTimeouts.npm:instal: unknown task 'npm:instal', the timeout would never apply (did you mean 'npm:install'?)",
+  ]);
+});
+
+test("settings without effect are warnings", () => {
+  const { errors, warnings } = validate({
+    deployVia: "remoteSync",
+    remoteSync: { source: "dist", delete: true },
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [
+    "remoteSync.source: 'dist' is not a local directory (build the project before deploying)",
+    "remoteSync.delete: has no effect, every deploy syncs into a new, empty release directory (remove the option)",
+  ]);
+});
+
+test("an invalid configuration throws a ConfigError listing the problems", () => {
+  assert.throws(
+    () =>
+      assertValidDeployConfig(
+        { ...validConfig, deployTo: "apps/app", branch: undefined },
+        tmpDir.path
+      ),
+    (error) =>
+      error instanceof ConfigError &&
+      error.message ===
+        "Invalid deploy configuration for stage 'production': 2 problems found" &&
+      error.problems.map(({ key }) => key).join() === "branch,deployTo"
+  );
+});